@@ -1,14 +1,52 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 
+// Selection queries read play_counts (aliased `pc`) joined with the track's skip data (`sk`)
+const SELECTABLE_TRACKS_FROM = `play_counts pc
+        LEFT JOIN skip_counts sk ON sk.user_id = pc.user_id AND sk.context_id = pc.context_id AND sk.track_id = pc.track_id`;
+
+// Favorites' plays count at this fraction, so they come up twice as often as other tracks
+const FAVORITE_PLAY_COUNT_FACTOR = 0.5;
+
+// Play count used to order tracks for selection: real play count (scaled down for favorites)
+// plus the offset a new track was onboarded with, plus skip penalty rounds
+const EFFECTIVE_PLAY_COUNT = `(pc.play_count * (CASE WHEN pc.favorite = 1 THEN ${FAVORITE_PLAY_COUNT_FACTOR} ELSE 1 END) + pc.play_count_offset + COALESCE(sk.penalty_rounds, 0))`;
+
+// WHERE clause for rows that may be picked next in a context
+// Binds two parameters: the user id and the context id. Archived (no longer in the context),
+// banned and pending (queued, not yet heard) tracks are excluded.
+const SELECTABLE_TRACKS_WHERE = `
+          pc.user_id = ?
+          AND pc.context_id = ?
+          AND pc.archived = 0
+          AND pc.banned = 0
+          AND NOT EXISTS (
+            SELECT 1 FROM pending_picks pp
+            WHERE pp.user_id = pc.user_id AND pp.context_id = pc.context_id AND pp.track_id = pc.track_id
+          )`;
+
+// Tables whose rows belong to one user (rebuilt with a user_id column when upgrading older databases)
+const USER_SCOPED_TABLES = ['play_counts', 'pending_picks', 'skip_counts'];
+
 class Database {
     constructor() {
         this.db = null;
-        this.dbPath = path.join(__dirname, '..', 'shuffle.db');
+        this.dbPath = null; // Set on initialize: shuffle.db in STSD_DATA_DIR (default: the project directory)
+        this.userId = 'default'; // User whose data this instance reads and writes (see forUser)
+    }
+
+    // Get a view of the database scoped to one user
+    // It shares the connection; only the user id used by every query differs.
+    forUser(userId) {
+        const scoped = Object.create(this);
+        scoped.userId = userId;
+        return scoped;
     }
 
     // Initialize database and create tables
     async initialize() {
+        this.dbPath = path.join(process.env.STSD_DATA_DIR || path.join(__dirname, '..'), 'shuffle.db');
+
         return new Promise((resolve, reject) => {
             this.db = new sqlite3.Database(this.dbPath, (err) => {
                 if (err) {
@@ -19,6 +57,7 @@ class Database {
 
                 console.log('Connected to SQLite database');
                 this.createTables()
+                    .then(() => this.migrateTables())
                     .then(() => resolve())
                     .catch(reject);
             });
@@ -30,16 +69,63 @@ class Database {
         return new Promise((resolve, reject) => {
             const sql = `
         CREATE TABLE IF NOT EXISTS play_counts (
+          user_id TEXT NOT NULL DEFAULT 'default',
           context_id TEXT NOT NULL,
           track_id TEXT NOT NULL,
           play_count INTEGER DEFAULT 0,
           last_played DATETIME,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          PRIMARY KEY (context_id, track_id)
+          banned INTEGER DEFAULT 0,
+          favorite INTEGER DEFAULT 0,
+          archived INTEGER DEFAULT 0,
+          archived_at DATETIME,
+          play_count_offset INTEGER DEFAULT 0,
+          PRIMARY KEY (user_id, context_id, track_id)
         );
         
-        CREATE INDEX IF NOT EXISTS idx_context_id ON play_counts(context_id);
-        CREATE INDEX IF NOT EXISTS idx_play_count ON play_counts(context_id, play_count);
+        CREATE INDEX IF NOT EXISTS idx_context_id ON play_counts(user_id, context_id);
+        CREATE INDEX IF NOT EXISTS idx_play_count ON play_counts(user_id, context_id, play_count);
+
+        CREATE TABLE IF NOT EXISTS pending_picks (
+          user_id TEXT NOT NULL DEFAULT 'default',
+          context_id TEXT NOT NULL,
+          track_id TEXT NOT NULL,
+          picked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (user_id, context_id, track_id)
+        );
+
+        CREATE TABLE IF NOT EXISTS skip_counts (
+          user_id TEXT NOT NULL DEFAULT 'default',
+          context_id TEXT NOT NULL,
+          track_id TEXT NOT NULL,
+          skip_count INTEGER DEFAULT 0,
+          last_skipped DATETIME,
+          penalty_rounds INTEGER DEFAULT 0,
+          PRIMARY KEY (user_id, context_id, track_id)
+        );
+
+        CREATE TABLE IF NOT EXISTS sessions (
+          session_key TEXT PRIMARY KEY,
+          state TEXT NOT NULL,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS schedules (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id TEXT NOT NULL DEFAULT 'default',
+          name TEXT,
+          cron TEXT NOT NULL,
+          context_uri TEXT NOT NULL,
+          device TEXT,
+          strategy TEXT,
+          end_time TEXT,
+          track_limit INTEGER,
+          enabled INTEGER DEFAULT 1,
+          last_run DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_schedules_user ON schedules(user_id);
       `;
 
             this.db.exec(sql, (err) => {
@@ -54,12 +140,97 @@ class Database {
         });
     }
 
+    // Bring tables created by older versions up to date
+    async migrateTables() {
+        for (const table of USER_SCOPED_TABLES) {
+            await this.addUserColumn(table);
+        }
+        await this.run("UPDATE sessions SET session_key = 'default' WHERE session_key = 'current'");
+
+        await this.addMissingColumns('play_counts', {
+            banned: 'INTEGER DEFAULT 0',
+            favorite: 'INTEGER DEFAULT 0',
+            archived: 'INTEGER DEFAULT 0',
+            archived_at: 'DATETIME',
+            play_count_offset: 'INTEGER DEFAULT 0'
+        });
+    }
+
+    // Run a single statement (used by migrations)
+    async run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function (err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(this.changes);
+                }
+            });
+        });
+    }
+
+    // Get the column names of a table
+    async getColumns(table) {
+        return new Promise((resolve, reject) => {
+            this.db.all(`PRAGMA table_info(${table})`, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => row.name));
+                }
+            });
+        });
+    }
+
+    // Move a table from before multi-user support into the user-scoped layout
+    // The user id is part of the primary key, which ALTER TABLE can't change, so the table is
+    // rebuilt: existing rows become the 'default' user's.
+    async addUserColumn(table) {
+        const columns = await this.getColumns(table);
+        if (columns.includes('user_id')) {
+            return;
+        }
+
+        const legacyTable = `${table}_before_users`;
+        const columnList = columns.join(', ');
+
+        await this.run(`ALTER TABLE ${table} RENAME TO ${legacyTable}`);
+        await this.createTables();
+        await this.run(`INSERT INTO ${table} (user_id, ${columnList}) SELECT 'default', ${columnList} FROM ${legacyTable}`);
+        await this.run(`DROP TABLE ${legacyTable}`);
+        await this.createTables(); // Recreate the indexes that were dropped with the legacy table
+
+        console.log(`Moved ${table} to per-user rows (existing rows belong to user 'default')`);
+    }
+
+    // Add columns that are missing from an existing table (CREATE TABLE IF NOT EXISTS won't)
+    async addMissingColumns(table, columns) {
+        const existing = await this.getColumns(table);
+
+        for (const [name, definition] of Object.entries(columns)) {
+            if (existing.includes(name)) {
+                continue;
+            }
+
+            await new Promise((resolve, reject) => {
+                this.db.run(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`, (err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        console.log(`Added column ${table}.${name}`);
+                        resolve();
+                    }
+                });
+            });
+        }
+    }
+
     // Get play count for a specific track in a context
     async getPlayCount(contextId, trackId) {
         return new Promise((resolve, reject) => {
-            const sql = 'SELECT play_count FROM play_counts WHERE context_id = ? AND track_id = ?';
+            const sql = 'SELECT play_count FROM play_counts WHERE user_id = ? AND context_id = ? AND track_id = ?';
 
-            this.db.get(sql, [contextId, trackId], (err, row) => {
+            this.db.get(sql, [this.userId, contextId, trackId], (err, row) => {
                 if (err) {
                     reject(err);
                 } else {
@@ -73,15 +244,15 @@ class Database {
     async incrementPlayCount(contextId, trackId) {
         return new Promise((resolve, reject) => {
             const sql = `
-        INSERT INTO play_counts (context_id, track_id, play_count, last_played)
-        VALUES (?, ?, 1, CURRENT_TIMESTAMP)
-        ON CONFLICT(context_id, track_id) 
+        INSERT INTO play_counts (user_id, context_id, track_id, play_count, last_played)
+        VALUES (?, ?, ?, 1, CURRENT_TIMESTAMP)
+        ON CONFLICT(user_id, context_id, track_id) 
         DO UPDATE SET 
           play_count = play_count + 1,
           last_played = CURRENT_TIMESTAMP
       `;
 
-            this.db.run(sql, [contextId, trackId], function (err) {
+            this.db.run(sql, [this.userId, contextId, trackId], function (err) {
                 if (err) {
                     reject(err);
                 } else {
@@ -97,11 +268,11 @@ class Database {
             const sql = `
         SELECT track_id, play_count, last_played 
         FROM play_counts 
-        WHERE context_id = ? 
+        WHERE user_id = ? AND context_id = ? AND archived = 0
         ORDER BY play_count ASC, last_played ASC
       `;
 
-            this.db.all(sql, [contextId], (err, rows) => {
+            this.db.all(sql, [this.userId, contextId], (err, rows) => {
                 if (err) {
                     reject(err);
                 } else {
@@ -112,21 +283,23 @@ class Database {
     }
 
     // Get only tracks with the minimum play count for a context (for random selection)
+    // Tracks that are currently pending (queued but not yet heard) are not considered,
+    // and skip penalty rounds count as extra plays
     async getLeastPlayedTracks(contextId) {
         return new Promise((resolve, reject) => {
             const sql = `
-        SELECT track_id, play_count, last_played 
-        FROM play_counts 
-        WHERE context_id = ? 
-        AND play_count = (
-          SELECT MIN(play_count) 
-          FROM play_counts 
-          WHERE context_id = ?
+        SELECT pc.track_id, pc.play_count, pc.last_played, ${EFFECTIVE_PLAY_COUNT} as effective_play_count 
+        FROM ${SELECTABLE_TRACKS_FROM} 
+        WHERE ${SELECTABLE_TRACKS_WHERE}
+        AND ${EFFECTIVE_PLAY_COUNT} = (
+          SELECT MIN(${EFFECTIVE_PLAY_COUNT}) 
+          FROM ${SELECTABLE_TRACKS_FROM} 
+          WHERE ${SELECTABLE_TRACKS_WHERE}
         )
-        ORDER BY last_played ASC
+        ORDER BY pc.last_played ASC
       `;
 
-            this.db.all(sql, [contextId, contextId], (err, rows) => {
+            this.db.all(sql, [this.userId, contextId, this.userId, contextId], (err, rows) => {
                 if (err) {
                     reject(err);
                 } else {
@@ -136,19 +309,283 @@ class Database {
         });
     }
 
-    // Get recently added tracks (most recent last_played timestamps)
-    // These are the tracks we added to queue recently
-    async getRecentlyAddedTracks(contextId, limit = 10) {
+    // Get all tracks of a context that may be picked next, least played first
+    async getSelectableTracks(contextId) {
         return new Promise((resolve, reject) => {
             const sql = `
-        SELECT track_id, play_count, last_played 
-        FROM play_counts 
-        WHERE context_id = ? 
-        ORDER BY last_played DESC
+        SELECT pc.track_id, pc.play_count, pc.last_played, ${EFFECTIVE_PLAY_COUNT} as effective_play_count 
+        FROM ${SELECTABLE_TRACKS_FROM} 
+        WHERE ${SELECTABLE_TRACKS_WHERE}
+        ORDER BY effective_play_count ASC, pc.last_played ASC
+      `;
+
+            this.db.all(sql, [this.userId, contextId], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    // Get all selectable tracks for a context with a selection weight for "soft" least-played shuffle
+    // Each track is scored by how far its (effective) play count is above the context minimum, plus a
+    // recency penalty (1 when just played, halving every recencyHalfLifeHours, 0 if never played).
+    // Weight is exp(-score / temperature): low temperature approaches strict least-played,
+    // high temperature approaches uniform random.
+    async getWeightedLeastPlayedTracks(contextId, temperature = 1, recencyHalfLifeHours = 24) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+        SELECT 
+          pc.track_id, 
+          pc.play_count, 
+          pc.last_played,
+          ${EFFECTIVE_PLAY_COUNT} as effective_play_count,
+          ${EFFECTIVE_PLAY_COUNT} - (
+            SELECT MIN(${EFFECTIVE_PLAY_COUNT}) 
+            FROM ${SELECTABLE_TRACKS_FROM} 
+            WHERE ${SELECTABLE_TRACKS_WHERE}
+          ) as play_count_delta,
+          (julianday('now') - julianday(pc.last_played)) * 24 as hours_since_played
+        FROM ${SELECTABLE_TRACKS_FROM} 
+        WHERE ${SELECTABLE_TRACKS_WHERE}
+        ORDER BY effective_play_count ASC, pc.last_played ASC
+      `;
+
+            this.db.all(sql, [this.userId, contextId, this.userId, contextId], (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                const scored = rows.map(row => {
+                    const recencyPenalty = row.hours_since_played === null
+                        ? 0
+                        : Math.pow(0.5, Math.max(0, row.hours_since_played) / recencyHalfLifeHours);
+                    return { ...row, score: row.play_count_delta + recencyPenalty };
+                });
+
+                // Normalize against the best score so weights don't underflow at low temperatures
+                const minScore = Math.min(...scored.map(row => row.score));
+
+                resolve(scored.map(row => ({
+                    track_id: row.track_id,
+                    play_count: row.play_count,
+                    effective_play_count: row.effective_play_count,
+                    last_played: row.last_played,
+                    weight: Math.exp(-(row.score - minScore) / temperature)
+                })));
+            });
+        });
+    }
+
+    // Record a track as picked (queued) but not yet heard
+    async addPendingPick(contextId, trackId) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+        INSERT INTO pending_picks (user_id, context_id, track_id, picked_at)
+        VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(user_id, context_id, track_id) 
+        DO UPDATE SET picked_at = CURRENT_TIMESTAMP
+      `;
+
+            this.db.run(sql, [this.userId, contextId, trackId], function (err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(this.changes);
+                }
+            });
+        });
+    }
+
+    // Get pending picks for one or more contexts, oldest first
+    async getPendingPicks(contextIds) {
+        const ids = [].concat(contextIds);
+
+        return new Promise((resolve, reject) => {
+            const sql = `
+        SELECT context_id, track_id, picked_at 
+        FROM pending_picks 
+        WHERE user_id = ? AND context_id IN (${ids.map(() => '?').join(', ')}) 
+        ORDER BY picked_at ASC
+      `;
+
+            this.db.all(sql, [this.userId, ...ids], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    // Find which of the given contexts has a pending pick for a track (null if none)
+    async getPendingPickContext(contextIds, trackId) {
+        const ids = [].concat(contextIds);
+
+        return new Promise((resolve, reject) => {
+            const sql = `
+        SELECT context_id 
+        FROM pending_picks 
+        WHERE user_id = ? AND track_id = ? AND context_id IN (${ids.map(() => '?').join(', ')}) 
+        ORDER BY picked_at ASC
+        LIMIT 1
+      `;
+
+            this.db.get(sql, [this.userId, trackId, ...ids], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row ? row.context_id : null);
+                }
+            });
+        });
+    }
+
+    // Drop a pending pick without counting a play (track becomes eligible again)
+    async removePendingPick(contextId, trackId) {
+        return new Promise((resolve, reject) => {
+            const sql = 'DELETE FROM pending_picks WHERE user_id = ? AND context_id = ? AND track_id = ?';
+
+            this.db.run(sql, [this.userId, contextId, trackId], function (err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(this.changes);
+                }
+            });
+        });
+    }
+
+    // Drop all pending picks for a context (e.g. when a new session starts)
+    async clearPendingPicks(contextId) {
+        return new Promise((resolve, reject) => {
+            const sql = 'DELETE FROM pending_picks WHERE user_id = ? AND context_id = ?';
+
+            this.db.run(sql, [this.userId, contextId], function (err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(this.changes);
+                }
+            });
+        });
+    }
+
+    // Turn a pending pick into a confirmed play
+    // Returns false if the track had no pending pick in this context (e.g. user-chosen track)
+    async confirmPendingPick(contextId, trackId) {
+        const removed = await this.removePendingPick(contextId, trackId);
+        if (removed === 0) {
+            return false;
+        }
+
+        await this.incrementPlayCount(contextId, trackId);
+        await this.clearSkipPenalty(contextId, trackId);
+        return true;
+    }
+
+    // Record a skip of a track in a context, optionally deprioritizing it for some rounds
+    async recordSkip(contextId, trackId, penaltyRounds = 0) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+        INSERT INTO skip_counts (user_id, context_id, track_id, skip_count, last_skipped, penalty_rounds)
+        VALUES (?, ?, ?, 1, CURRENT_TIMESTAMP, ?)
+        ON CONFLICT(user_id, context_id, track_id) 
+        DO UPDATE SET 
+          skip_count = skip_count + 1,
+          last_skipped = CURRENT_TIMESTAMP,
+          penalty_rounds = MAX(penalty_rounds, excluded.penalty_rounds)
+      `;
+
+            this.db.run(sql, [this.userId, contextId, trackId, penaltyRounds], function (err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(this.changes);
+                }
+            });
+        });
+    }
+
+    // Remove the skip penalty of a track (it has been heard again)
+    async clearSkipPenalty(contextId, trackId) {
+        return new Promise((resolve, reject) => {
+            const sql = 'UPDATE skip_counts SET penalty_rounds = 0 WHERE user_id = ? AND context_id = ? AND track_id = ?';
+
+            this.db.run(sql, [this.userId, contextId, trackId], function (err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(this.changes);
+                }
+            });
+        });
+    }
+
+    // Get skip statistics for a context, most skipped (by rate) first
+    // skip_rate = skips / (skips + confirmed plays)
+    async getSkipStats(contextId, limit = 50) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+        SELECT 
+          sk.track_id,
+          sk.skip_count,
+          sk.last_skipped,
+          sk.penalty_rounds,
+          COALESCE(pc.play_count, 0) as play_count,
+          CAST(sk.skip_count AS REAL) / (sk.skip_count + COALESCE(pc.play_count, 0)) as skip_rate
+        FROM skip_counts sk
+        LEFT JOIN play_counts pc ON pc.user_id = sk.user_id AND pc.context_id = sk.context_id AND pc.track_id = sk.track_id
+        WHERE sk.user_id = ? AND sk.context_id = ? AND sk.skip_count > 0
+        ORDER BY skip_rate DESC, sk.skip_count DESC
         LIMIT ?
       `;
 
-            this.db.all(sql, [contextId, limit], (err, rows) => {
+            this.db.all(sql, [this.userId, contextId, limit], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    // Set the banned or favorite flag of a track in a context
+    // Returns false if the track isn't known for this context
+    async setTrackFlag(contextId, trackId, flag, value) {
+        if (!['banned', 'favorite'].includes(flag)) {
+            throw new Error(`Unknown track flag: ${flag}`);
+        }
+
+        return new Promise((resolve, reject) => {
+            const sql = `UPDATE play_counts SET ${flag} = ? WHERE user_id = ? AND context_id = ? AND track_id = ?`;
+
+            this.db.run(sql, [value ? 1 : 0, this.userId, contextId, trackId], function (err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    // Get banned and favorite tracks of a context
+    async getFlaggedTracks(contextId) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+        SELECT track_id, play_count, banned, favorite 
+        FROM play_counts 
+        WHERE user_id = ? AND context_id = ? AND (banned = 1 OR favorite = 1)
+        ORDER BY banned DESC, track_id ASC
+      `;
+
+            this.db.all(sql, [this.userId, contextId], (err, rows) => {
                 if (err) {
                     reject(err);
                 } else {
@@ -158,6 +595,40 @@ class Database {
         });
     }
 
+    // Get where a context stands in its current shuffle pass
+    // A pass is done once every track (not archived or banned) has reached the next play level;
+    // levels include the onboarding offset so new tracks don't drag the context back to pass 1.
+    // Returns { pass, totalTracks, remainingTrackIds }
+    async getPassProgress(contextId) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+        SELECT track_id, play_count + play_count_offset as level
+        FROM play_counts
+        WHERE user_id = ? AND context_id = ? AND archived = 0 AND banned = 0
+      `;
+
+            this.db.all(sql, [this.userId, contextId], (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                if (rows.length === 0) {
+                    resolve({ pass: 0, totalTracks: 0, remainingTrackIds: [] });
+                    return;
+                }
+
+                const pass = Math.max(Math.floor(Math.min(...rows.map(row => row.level))), 0) + 1;
+
+                resolve({
+                    pass,
+                    totalTracks: rows.length,
+                    remainingTrackIds: rows.filter(row => row.level < pass).map(row => row.track_id)
+                });
+            });
+        });
+    }
+
     // Get stats for a context
     async getContextStats(contextId) {
         return new Promise((resolve, reject) => {
@@ -169,10 +640,10 @@ class Database {
           AVG(play_count) as avg_plays,
           SUM(play_count) as total_plays
         FROM play_counts 
-        WHERE context_id = ?
+        WHERE user_id = ? AND context_id = ? AND archived = 0
       `;
 
-            this.db.get(sql, [contextId], (err, row) => {
+            this.db.get(sql, [this.userId, contextId], (err, row) => {
                 if (err) {
                     reject(err);
                 } else {
@@ -182,64 +653,275 @@ class Database {
         });
     }
 
-    // Sync context tracks with database (add new tracks, keep existing play counts)
-    async syncContextTracks(contextId, tracks) {
-        return new Promise((resolve, reject) => {
+    // Sync context tracks with database
+    // New tracks are added, tracks no longer in the context are archived (kept with their history,
+    // but never selected) and archived tracks that show up again are restored.
+    // New tracks start where the onboarding policy ({ policy, boostPicks }) puts them relative to
+    // the tracks already in the context (see getOnboardingOffset).
+    // Returns { total, added, removed, restored } with the track URIs of each change.
+    async syncContextTracks(contextId, tracks, onboarding = { policy: 'minimum', boostPicks: 0 }) {
+        const existing = await new Promise((resolve, reject) => {
+            const sql = `
+        SELECT pc.track_id, pc.archived, pc.banned, ${EFFECTIVE_PLAY_COUNT} as effective_play_count
+        FROM ${SELECTABLE_TRACKS_FROM}
+        WHERE pc.user_id = ? AND pc.context_id = ?
+      `;
+
+            this.db.all(sql, [this.userId, contextId], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+
+        const existingByUri = new Map(existing.map(row => [row.track_id, row]));
+        const currentUris = new Set(tracks.map(track => track.uri));
+
+        const added = [...currentUris].filter(uri => !existingByUri.has(uri));
+        const restored = [...currentUris].filter(uri => existingByUri.get(uri)?.archived === 1);
+        const removed = existing
+            .filter(row => row.archived === 0 && !currentUris.has(row.track_id))
+            .map(row => row.track_id);
+
+        // Tracks that stay in the context set the level new tracks are onboarded at
+        const staying = existing
+            .filter(row => row.archived === 0 && row.banned === 0 && currentUris.has(row.track_id))
+            .map(row => row.effective_play_count);
+        const offset = this.getOnboardingOffset(staying, onboarding);
+
+        if (added.length > 0 && offset !== 0) {
+            console.log(`Onboarding ${added.length} new tracks in ${contextId} at play count ${offset} (${onboarding.policy})`);
+        }
+
+        const statements = [
+            ...added.map(uri => ['INSERT OR IGNORE INTO play_counts (user_id, context_id, track_id, play_count, last_played, play_count_offset) VALUES (?, ?, ?, 0, NULL, ?)', [this.userId, contextId, uri, offset]]),
+            ...restored.map(uri => ['UPDATE play_counts SET archived = 0, archived_at = NULL WHERE user_id = ? AND context_id = ? AND track_id = ?', [this.userId, contextId, uri]]),
+            ...removed.map(uri => ['UPDATE play_counts SET archived = 1, archived_at = CURRENT_TIMESTAMP WHERE user_id = ? AND context_id = ? AND track_id = ?', [this.userId, contextId, uri]])
+        ];
+
+        await new Promise((resolve, reject) => {
             this.db.serialize(() => {
                 this.db.run('BEGIN TRANSACTION');
 
-                let completed = 0;
                 let errors = [];
 
-                const checkComplete = () => {
-                    completed++;
-                    if (completed === tracks.length) {
-                        if (errors.length > 0) {
-                            this.db.run('ROLLBACK');
-                            reject(new Error(`Failed to sync ${errors.length} tracks: ${errors[0]}`));
-                        } else {
-                            this.db.run('COMMIT', (err) => {
-                                if (err) {
-                                    reject(err);
-                                } else {
-                                    console.log(`Synced ${tracks.length} tracks for context ${contextId}`);
-                                    resolve(tracks.length);
-                                }
-                            });
+                statements.forEach(([sql, params]) => {
+                    this.db.run(sql, params, (err) => {
+                        if (err) {
+                            errors.push(err.message);
                         }
+                    });
+                });
+
+                // Runs after every statement above (serialized)
+                this.db.run('SELECT 1', () => {
+                    if (errors.length > 0) {
+                        this.db.run('ROLLBACK');
+                        reject(new Error(`Failed to sync ${errors.length} tracks: ${errors[0]}`));
+                    } else {
+                        this.db.run('COMMIT', (err) => {
+                            if (err) {
+                                reject(err);
+                            } else {
+                                resolve();
+                            }
+                        });
                     }
-                };
+                });
+            });
+        });
 
-                if (tracks.length === 0) {
-                    this.db.run('COMMIT');
-                    resolve(0);
-                    return;
+        console.log(`Synced ${tracks.length} tracks for context ${contextId} (${added.length} added, ${removed.length} archived, ${restored.length} restored)`);
+
+        return { total: currentUris.size, added, removed, restored };
+    }
+
+    // Starting play count offset for new tracks, given the effective play counts of the tracks
+    // already in the context (0 when the context is new):
+    //   'minimum' - level with the least played tracks
+    //   'median'  - at the median effective play count
+    //   'boost'   - boostPicks rounds below the minimum, so it gets that many extra picks, then is normal
+    getOnboardingOffset(effectivePlayCounts, onboarding) {
+        if (effectivePlayCounts.length === 0) {
+            return 0;
+        }
+
+        const sorted = [...effectivePlayCounts].sort((a, b) => a - b);
+
+        switch (onboarding.policy) {
+            case 'median':
+                return Math.floor(sorted[Math.floor((sorted.length - 1) / 2)]);
+            case 'boost':
+                return Math.floor(sorted[0]) - onboarding.boostPicks;
+            default:
+                return Math.floor(sorted[0]);
+        }
+    }
+
+    // Save the user's shuffle session state (JSON-serializable) so it survives a restart
+    async saveSessionState(state, sessionKey = this.userId) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+        INSERT INTO sessions (session_key, state, updated_at)
+        VALUES (?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(session_key) 
+        DO UPDATE SET state = excluded.state, updated_at = CURRENT_TIMESTAMP
+      `;
+
+            this.db.run(sql, [sessionKey, JSON.stringify(state)], function (err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(this.changes);
                 }
+            });
+        });
+    }
 
-                // Insert each track if it doesn't exist (preserving existing play counts)
-                tracks.forEach(track => {
-                    const sql = `
-            INSERT OR IGNORE INTO play_counts (context_id, track_id, play_count, last_played)
-            VALUES (?, ?, 0, NULL)
-          `;
+    // Get the user's saved shuffle session state, or null if there is none
+    async getSessionState(sessionKey = this.userId) {
+        return new Promise((resolve, reject) => {
+            const sql = 'SELECT state, updated_at FROM sessions WHERE session_key = ?';
 
-                    this.db.run(sql, [contextId, track.uri], function (err) {
-                        if (err) {
-                            errors.push(err.message);
-                        }
-                        checkComplete();
-                    });
-                });
+            this.db.get(sql, [sessionKey], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row ? { ...JSON.parse(row.state), savedAt: row.updated_at } : null);
+                }
+            });
+        });
+    }
+
+    // Forget the user's saved shuffle session state
+    async clearSessionState(sessionKey = this.userId) {
+        return new Promise((resolve, reject) => {
+            const sql = 'DELETE FROM sessions WHERE session_key = ?';
+
+            this.db.run(sql, [sessionKey], function (err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(this.changes);
+                }
+            });
+        });
+    }
+
+    // Get the user's schedule rules
+    async getSchedules() {
+        return new Promise((resolve, reject) => {
+            const sql = 'SELECT * FROM schedules WHERE user_id = ? ORDER BY id';
+
+            this.db.all(sql, [this.userId], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    // Get one of the user's schedule rules, or null if it doesn't exist
+    async getSchedule(id) {
+        return new Promise((resolve, reject) => {
+            const sql = 'SELECT * FROM schedules WHERE user_id = ? AND id = ?';
+
+            this.db.get(sql, [this.userId, id], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row || null);
+                }
+            });
+        });
+    }
+
+    // Store a new schedule rule and return its id
+    // rule: { name, cron, contextUri, device, strategy, endTime, trackLimit, enabled }
+    async addSchedule(rule) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+        INSERT INTO schedules (user_id, name, cron, context_uri, device, strategy, end_time, track_limit, enabled)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+            const params = [
+                this.userId, rule.name, rule.cron, rule.contextUri, rule.device,
+                rule.strategy, rule.endTime, rule.trackLimit, rule.enabled ? 1 : 0
+            ];
+
+            this.db.run(sql, params, function (err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(this.lastID);
+                }
+            });
+        });
+    }
+
+    // Replace the settings of a schedule rule; returns false if it doesn't exist
+    async updateSchedule(id, rule) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+        UPDATE schedules
+        SET name = ?, cron = ?, context_uri = ?, device = ?, strategy = ?, end_time = ?, track_limit = ?, enabled = ?
+        WHERE user_id = ? AND id = ?
+      `;
+            const params = [
+                rule.name, rule.cron, rule.contextUri, rule.device, rule.strategy,
+                rule.endTime, rule.trackLimit, rule.enabled ? 1 : 0, this.userId, id
+            ];
+
+            this.db.run(sql, params, function (err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    // Remember when a schedule rule last fired, so it fires once per matching minute
+    async markScheduleRun(id, runAt) {
+        return new Promise((resolve, reject) => {
+            const sql = 'UPDATE schedules SET last_run = ? WHERE user_id = ? AND id = ?';
+
+            this.db.run(sql, [runAt, this.userId, id], function (err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    // Delete a schedule rule; returns false if it doesn't exist
+    async deleteSchedule(id) {
+        return new Promise((resolve, reject) => {
+            const sql = 'DELETE FROM schedules WHERE user_id = ? AND id = ?';
+
+            this.db.run(sql, [this.userId, id], function (err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
             });
         });
     }
 
-    // Reset all play counts to zero (debug function)
+    // Reset all of the user's play counts to zero (debug function)
     async resetAllPlayCounts() {
         return new Promise((resolve, reject) => {
-            const sql = 'UPDATE play_counts SET play_count = 0, last_played = NULL';
+            const sql = 'UPDATE play_counts SET play_count = 0, last_played = NULL, play_count_offset = 0 WHERE user_id = ?';
 
-            this.db.run(sql, function (err) {
+            this.db.run(sql, [this.userId], function (err) {
                 if (err) {
                     reject(err);
                 } else {
@@ -1,7 +1,11 @@
 const express = require('express');
-const spotifyClient = require('./spotify');
-const database = require('./database');
-const shuffleState = require('./shuffleState');
+const crypto = require('crypto');
+const sharedDatabase = require('./database'); // Only for setup; play counts and sessions are reached per user
+const shuffleStrategies = require('./shuffleStrategies');
+const scheduler = require('./scheduler');
+const { parseSessionLimits, mergeSessionLimits, hasSessionLimits } = require('./sessionLimits');
+const users = require('./users');
+const { SpotifyError, AuthError, RateLimited, NoActiveDevice, NotFound, getApiBaseUrl, spotifyRequest } = require('./spotifyRequest');
 require('dotenv').config();
 
 const app = express();
@@ -9,31 +13,105 @@ const PORT = process.env.PORT || 3000;
 
 // Configuration
 const PLAYLIST_TARGET_SIZE = parseInt(process.env.PLAYLIST_TARGET_SIZE) || 5;
-
-// Helper function to randomly select from an array
-function getRandomElement(array) {
-  return array[Math.floor(Math.random() * array.length)];
+// Queue target: at least PLAYLIST_TARGET_SIZE tracks and QUEUE_TARGET_MINUTES minutes (0 = no minimum)
+// lined up, counting what is left of the current track; never more than MAX_QUEUED_TRACKS tracks
+const QUEUE_TARGET_MINUTES = parseFloat(process.env.QUEUE_TARGET_MINUTES) || 0;
+const MAX_QUEUED_TRACKS = 20;
+const QUEUE_TARGET = { minTracks: PLAYLIST_TARGET_SIZE, minMinutes: QUEUE_TARGET_MINUTES, maxTracks: MAX_QUEUED_TRACKS };
+// How upcoming tracks are lined up: 'queue' (Spotify's player queue) or 'playlist' (appended to the
+// [STSD] playlist, with played tracks trimmed from it - never touches the queue)
+const QUEUE_MODES = ['queue', 'playlist'];
+const QUEUE_MODE = QUEUE_MODES.includes(process.env.QUEUE_MODE) ? process.env.QUEUE_MODE : 'queue';
+// Device new sessions are pinned to (id or name); without it sessions follow the active device
+const SPOTIFY_DEVICE_ID = process.env.SPOTIFY_DEVICE_ID || null;
+const DEFAULT_SHUFFLE_STRATEGY = process.env.SHUFFLE_STRATEGY || 'strict-least-played';
+const SOFT_SHUFFLE_TEMPERATURE = parseFloat(process.env.SOFT_SHUFFLE_TEMPERATURE) || 1;
+const SOFT_SHUFFLE_RECENCY_HALF_LIFE_HOURS = parseFloat(process.env.SOFT_SHUFFLE_RECENCY_HALF_LIFE_HOURS) || 24;
+const ARTIST_MIN_GAP = parseInt(process.env.ARTIST_MIN_GAP) || 0;
+const ALBUM_MIN_GAP = parseInt(process.env.ALBUM_MIN_GAP) || 0;
+// A queued track counts as played once this much of it was heard (whichever comes first)
+const PLAY_CONFIRMATION = {
+  percent: parseFloat(process.env.PLAY_CONFIRM_PERCENT) || 50,
+  seconds: parseFloat(process.env.PLAY_CONFIRM_SECONDS) || 30
+};
+// What a skipped (left before the confirmation threshold) queued track means for its play count:
+// 'count-as-played', 'not-counted' or 'deprioritize' (not counted and pushed back SKIP_PENALTY_ROUNDS rounds)
+const SKIP_POLICIES = ['count-as-played', 'not-counted', 'deprioritize'];
+const SKIP_POLICY = SKIP_POLICIES.includes(process.env.SKIP_POLICY) ? process.env.SKIP_POLICY : 'not-counted';
+const SKIP_PENALTY_ROUNDS = parseInt(process.env.SKIP_PENALTY_ROUNDS) || 2;
+// Where tracks added to an already known context start (see database.getOnboardingOffset):
+// 'minimum', 'median' or 'boost' (NEW_TRACK_BOOST_PICKS extra picks first, then normal)
+const NEW_TRACK_POLICIES = ['minimum', 'median', 'boost'];
+const NEW_TRACK_ONBOARDING = {
+  policy: NEW_TRACK_POLICIES.includes(process.env.NEW_TRACK_POLICY) ? process.env.NEW_TRACK_POLICY : 'minimum',
+  boostPicks: parseInt(process.env.NEW_TRACK_BOOST_PICKS) || 1
+};
+// How often an active session re-reads its source contexts to pick up added/removed tracks (0 = never)
+const CONTEXT_RESYNC_MINUTES = process.env.CONTEXT_RESYNC_MINUTES !== undefined
+  ? parseFloat(process.env.CONTEXT_RESYNC_MINUTES)
+  : 10;
+// A session that has not been ACTIVE for this long (suspended or resumable) ends (0 = never)
+const SESSION_IDLE_EXPIRY_MINUTES = process.env.SESSION_IDLE_EXPIRY_MINUTES !== undefined
+  ? parseFloat(process.env.SESSION_IDLE_EXPIRY_MINUTES)
+  : 60;
+// Monitor timing: every MONITOR_INTERVAL while playing, right after the current track ends when that
+// comes sooner (but never within MONITOR_MIN_INTERVAL), backing off up to MONITOR_MAX_INTERVAL when idle
+const MONITOR_INTERVAL_MS = (parseFloat(process.env.MONITOR_INTERVAL_SECONDS) || 20) * 1000;
+const MONITOR_MIN_INTERVAL_MS = (parseFloat(process.env.MONITOR_MIN_INTERVAL_SECONDS) || 2) * 1000;
+const MONITOR_MAX_INTERVAL_MS = (parseFloat(process.env.MONITOR_MAX_INTERVAL_SECONDS) || 300) * 1000;
+// How long after a track's expected end the boundary check runs, so Spotify has moved on by then
+const TRACK_END_MARGIN_MS = 1500;
+// Waits between attempts to start a freshly created STSD playlist that Spotify doesn't know yet
+const PLAYLIST_SYNC_RETRY_DELAYS_MS = [500, 1000, 2000, 4000];
+// What /api/shuffle/stop does with playback (see stopShuffleSession)
+const STOP_MODES = ['keep-playing', 'return', 'pause'];
+// What happens when a source finishes a shuffle pass (every track played once more):
+// 'next-pass' (keep going), 'stop' (pause after the current track) or
+// 'switch-context' (start shuffling PASS_SWITCH_CONTEXT after the current track)
+const PASS_COMPLETE_ACTIONS = ['next-pass', 'stop', 'switch-context'];
+const PASS_SWITCH_CONTEXT = process.env.PASS_SWITCH_CONTEXT || null;
+const PASS_COMPLETE_ACTION = PASS_COMPLETE_ACTIONS.includes(process.env.PASS_COMPLETE_ACTION) ? process.env.PASS_COMPLETE_ACTION : 'next-pass';
+if (PASS_COMPLETE_ACTION === 'switch-context' && !PASS_SWITCH_CONTEXT) {
+  console.warn('PASS_COMPLETE_ACTION=switch-context needs PASS_SWITCH_CONTEXT; passes will just continue');
 }
 
-// Atomic function to add one least-played track to STSD playlist
-async function addOneLeastPlayedTrack(contextUri, allTracks, playlistId = null) {
-  try {
-    // Get tracks with the minimum play count for random selection
-    const leastPlayedTracks = await database.getLeastPlayedTracks(contextUri);
+// Pick the next track for a context using the session's shuffle strategy
+async function pickNextTrack(user, contextUri, allTracks) {
+  const { shuffleState, database } = user;
+  const strategy = shuffleState.getStrategy();
+  const spacing = {
+    ...shuffleState.getSpacingRules(),
+    recentPicks: shuffleState.getRecentPicks(),
+    allTracks
+  };
+  const selection = await shuffleStrategies.selectTrack(strategy, contextUri, shuffleState.getStrategyOptions(), spacing, database);
 
-    if (leastPlayedTracks.length === 0) {
-      console.log('No tracks available to add');
-      return false;
-    }
+  if (!selection) {
+    console.log('No tracks available to add');
+    return null;
+  }
+
+  // Find the full track info
+  const fullTrackInfo = allTracks.find(track => track.uri === selection.track.track_id);
+  if (!fullTrackInfo) {
+    console.log(`Could not find full track info for ${selection.track.track_id}`);
+    return null;
+  }
 
-    // Randomly select from tracks with the lowest play count
-    const selectedTrack = getRandomElement(leastPlayedTracks);
+  return {
+    selectedTrack: selection.track,
+    trackInfo: fullTrackInfo,
+    description: `${fullTrackInfo.name} by ${fullTrackInfo.artists} (played ${selection.track.play_count} times) [${strategy}, selected from ${selection.poolSize} candidates]`
+  };
+}
 
-    // Find the full track info
-    const fullTrackInfo = allTracks.find(track => track.uri === selectedTrack.track_id);
-    if (!fullTrackInfo) {
-      console.log(`Could not find full track info for ${selectedTrack.track_id}`);
-      return false;
+// Atomic function to add one least-played track to STSD playlist
+async function addOneLeastPlayedTrack(user, contextUri, allTracks, playlistId = null) {
+  const { spotifyClient, shuffleState, database } = user;
+  try {
+    const pick = await pickNextTrack(user, contextUri, allTracks);
+    if (!pick) {
+      return { success: false };
     }
 
     // Get STSD playlist ID (from parameter or shuffle state)
@@ -44,19 +122,19 @@ async function addOneLeastPlayedTrack(contextUri, allTracks, playlistId = null)
     }
 
     // Add the track to the playlist
-    await spotifyClient.addToPlaylist(stsdPlaylistId, [selectedTrack.track_id]);
-
-    await new Promise(resolve => setTimeout(resolve, 500)); // Safety delay after playlist addition
+    await spotifyClient.addToPlaylist(stsdPlaylistId, [pick.selectedTrack.track_id]);
+    shuffleState.recordQueued(pick.selectedTrack.track_id, contextUri, 'playlist', pick.trackInfo.duration_ms);
 
-    // Increment play count immediately so next query won't select the same track
-    await database.incrementPlayCount(contextUri, selectedTrack.track_id);
+    // Mark as pending so next query won't select the same track (play is counted once heard)
+    await database.addPendingPick(contextUri, pick.selectedTrack.track_id);
+    shuffleState.recordPick(pick.trackInfo);
 
-    console.log(`Added least-played track: ${fullTrackInfo.name} by ${fullTrackInfo.artists} (played ${selectedTrack.play_count} times, now ${selectedTrack.play_count + 1}) [randomly selected from ${leastPlayedTracks.length} least-played tracks]`);
+    console.log(`Added least-played track: ${pick.description}`);
 
     return {
       success: true,
-      trackUri: selectedTrack.track_id,
-      trackInfo: fullTrackInfo
+      trackUri: pick.selectedTrack.track_id,
+      trackInfo: pick.trackInfo
     };
   } catch (error) {
     console.error('Error adding least-played track:', error);
@@ -64,8 +142,467 @@ async function addOneLeastPlayedTrack(contextUri, allTracks, playlistId = null)
   }
 }
 
+// Atomic function to add one least-played track to the Spotify queue
+async function queueOneLeastPlayedTrack(user, contextUri, allTracks) {
+  const { spotifyClient, shuffleState, database } = user;
+  const pick = await pickNextTrack(user, contextUri, allTracks);
+  if (!pick) {
+    return { success: false };
+  }
+
+  // Add to queue
+  await spotifyClient.addToQueue(pick.selectedTrack.track_id, shuffleState.getDeviceId());
+  shuffleState.recordQueued(pick.selectedTrack.track_id, contextUri, 'queue', pick.trackInfo.duration_ms);
+
+  // Mark as pending since we're queuing it (play is counted once heard)
+  await database.addPendingPick(contextUri, pick.selectedTrack.track_id);
+  shuffleState.recordPick(pick.trackInfo);
+
+  console.log(`Added to queue: ${pick.description}`);
+
+  return {
+    success: true,
+    trackUri: pick.selectedTrack.track_id,
+    trackInfo: pick.trackInfo
+  };
+}
+
+// Add the next track of the session to the STSD playlist (when playlistId is given) or the queue
+// The track comes from the source furthest behind its weighted share; sources with nothing left
+// to pick are passed over.
+async function addNextSessionTrack(user, playlistId = null) {
+  const { shuffleState } = user;
+  for (const source of shuffleState.getSourcesByPriority()) {
+    const result = playlistId
+      ? await addOneLeastPlayedTrack(user, source.contextUri, source.tracks, playlistId)
+      : await queueOneLeastPlayedTrack(user, source.contextUri, source.tracks);
+
+    if (result.success) {
+      shuffleState.recordSourcePick(source.contextUri);
+      await saveSessionState(user);
+      return { ...result, contextUri: source.contextUri };
+    }
+  }
+
+  return { success: false };
+}
+
+// Add tracks of the session one after the other to the STSD playlist (when playlistId is given) or
+// the queue until the queue target is met; stops early when no track is left or adding fails
+async function fillToQueueTarget(user, currentRemainingMs = 0, playlistId = null) {
+  const { queueLedger } = user.shuffleState;
+  let added = 0;
+
+  while (user.shuffleState.isBelowQueueTarget(QUEUE_TARGET, currentRemainingMs)) {
+    try {
+      const result = await addNextSessionTrack(user, playlistId);
+
+      if (!result.success) {
+        console.log('No more tracks available for queue');
+        break;
+      }
+
+      added++;
+    } catch (error) {
+      console.error(`Failed to add track ${added + 1}:`, error);
+      break;
+    }
+  }
+
+  if (added > 0) {
+    const queuedMinutes = (currentRemainingMs + queueLedger.getUpcomingMs()) / 60000;
+    console.log(`Added ${added} tracks, ${queueLedger.getUpcoming().length} lined up (${queuedMinutes.toFixed(1)} min)`);
+  }
+  return added;
+}
+
+// Time left on the playing track
+function getRemainingMs(currentPlayback) {
+  return currentPlayback?.item ? Math.max(0, currentPlayback.item.duration_ms - (currentPlayback.progress_ms || 0)) : 0;
+}
+
+// Pending picks are the tracks we queued that haven't been heard yet; those the ledger no longer
+// has waiting or playing were dropped (queue cleared, skipped past, etc.) - release them so they
+// stay eligible
+async function releaseDroppedPicks(user) {
+  const { shuffleState, database } = user;
+  const ownedUris = new Set(shuffleState.queueLedger.getOutstanding().map(entry => entry.uri));
+
+  for (const pick of await database.getPendingPicks(shuffleState.getSourceContexts())) {
+    if (!ownedUris.has(pick.track_id)) {
+      await database.removePendingPick(pick.context_id, pick.track_id);
+      console.log(`Released pending pick no longer in queue: ${pick.track_id}`);
+    }
+  }
+}
+
+// Rolling playlist mode: keep the queue target's worth of upcoming tracks in the STSD playlist and
+// remove the ones already played from it, without reading or touching the player queue
+async function maintainRollingPlaylist(user, currentPlayback) {
+  const { spotifyClient, shuffleState } = user;
+  const { queueLedger } = shuffleState;
+  const stsdPlaylistId = shuffleState.getStsdPlaylistId();
+  const currentTrackUri = currentPlayback.item?.uri;
+
+  const { changed } = queueLedger.advance(currentTrackUri);
+
+  const trimmable = queueLedger.getTrimmable();
+  if (trimmable.length > 0) {
+    try {
+      await spotifyClient.removeFromPlaylist(stsdPlaylistId, [...new Set(trimmable.map(entry => entry.uri))]);
+      queueLedger.markRemoved(trimmable);
+    } catch (error) {
+      console.error('Failed to trim played tracks from the STSD playlist:', error.message);
+    }
+  }
+
+  if (changed || trimmable.length > 0) {
+    await saveSessionState(user);
+  }
+
+  await releaseDroppedPicks(user);
+
+  // Every track in the playlist is ours, so a track the ledger doesn't know was queued by the user
+  const userQueuedTracks = currentTrackUri && !queueLedger.entries.some(entry => entry.uri === currentTrackUri) ? 1 : 0;
+
+  await updateSessionState(user, currentPlayback, userQueuedTracks);
+  if (shuffleState.state !== 'ACTIVE') {
+    console.log(`Playlist monitoring: Session ${shuffleState.state}, not refilling`);
+    return;
+  }
+
+  const upcomingMinutes = queueLedger.getUpcomingMs() / 60000;
+  console.log(`Playlist monitoring: ${queueLedger.getUpcoming().length} upcoming tracks (${upcomingMinutes.toFixed(1)} min) in the STSD playlist`);
+
+  await fillToQueueTarget(user, getRemainingMs(currentPlayback), stsdPlaylistId);
+}
+
+// Apply play-confirmation events from the playback tracker to the session's contexts
+async function handlePlaybackEvents(user, events) {
+  const { shuffleState, database } = user;
+  for (const event of events) {
+    // Only tracks we queued (still pending in one of the session's contexts) are counted
+    const contextUri = await database.getPendingPickContext(shuffleState.getSourceContexts(), event.uri);
+    if (!contextUri) {
+      continue;
+    }
+
+    const heard = `${Math.round(event.progressMs / 1000)}s of ${Math.round(event.durationMs / 1000)}s`;
+
+    if (event.type === 'played') {
+      if (await database.confirmPendingPick(contextUri, event.uri)) {
+        shuffleState.recordPlay();
+        console.log(`Confirmed play: ${event.uri} (heard ${heard})`);
+      }
+    } else if (event.type === 'skipped') {
+      await database.removePendingPick(contextUri, event.uri);
+
+      if (SKIP_POLICY === 'count-as-played') {
+        await database.recordSkip(contextUri, event.uri);
+        await database.incrementPlayCount(contextUri, event.uri);
+        console.log(`Skipped, counting as played: ${event.uri} (heard ${heard})`);
+      } else if (SKIP_POLICY === 'deprioritize') {
+        await database.recordSkip(contextUri, event.uri, SKIP_PENALTY_ROUNDS);
+        console.log(`Skipped, deprioritized for ${SKIP_PENALTY_ROUNDS} rounds: ${event.uri} (heard ${heard})`);
+      } else {
+        await database.recordSkip(contextUri, event.uri);
+        console.log(`Skipped, not counting play: ${event.uri} (heard ${heard})`);
+      }
+    }
+  }
+}
+
+// Describe where a session source stands in its shuffle pass, with an ETA from track durations
+async function getPassStatus(user, source) {
+  const { database } = user;
+  const progress = await database.getPassProgress(source.contextUri);
+  const durations = new Map(source.tracks.map(track => [track.uri, track.duration_ms || 0]));
+  const remainingMs = progress.remainingTrackIds.reduce((sum, trackId) => sum + (durations.get(trackId) || 0), 0);
+
+  return {
+    contextUri: source.contextUri,
+    pass: progress.pass,
+    totalTracks: progress.totalTracks,
+    tracksLeft: progress.remainingTrackIds.length,
+    remainingMs,
+    estimatedCompletion: new Date(Date.now() + remainingMs).toISOString()
+  };
+}
+
+// Notice sources that just finished a pass and apply PASS_COMPLETE_ACTION
+async function checkPassCompletion(user, currentPlayback) {
+  const { shuffleState, database } = user;
+  let changed = false;
+  for (const source of shuffleState.sources) {
+    const { pass } = await database.getPassProgress(source.contextUri);
+
+    if (source.pass !== null && pass > source.pass) {
+      console.log(`Completed shuffle pass ${source.pass} of ${source.contextUri}, starting pass ${pass}`);
+
+      const action = PASS_COMPLETE_ACTION === 'switch-context' && !PASS_SWITCH_CONTEXT ? 'next-pass' : PASS_COMPLETE_ACTION;
+      if (action !== 'next-pass' && !shuffleState.getScheduledEnd() && currentPlayback?.item) {
+        shuffleState.scheduleEnd(currentPlayback.item.uri, action, `pass ${source.pass} of ${source.contextUri} completed`);
+        changed = true;
+      }
+    }
+
+    changed = shuffleState.setSourcePass(source.contextUri, pass) || changed;
+  }
+
+  // Most checks see the same passes again; only a change is worth writing
+  if (changed) {
+    await saveSessionState(user);
+  }
+}
+
+// Stop the session after the current track once it reaches its end time or track limit
+async function checkSessionLimits(user, currentPlayback) {
+  const { shuffleState } = user;
+  const reason = shuffleState.getReachedLimit();
+
+  if (reason && !shuffleState.getScheduledEnd() && currentPlayback?.item) {
+    shuffleState.scheduleEnd(currentPlayback.item.uri, 'stop', reason);
+    await saveSessionState(user);
+  }
+}
+
+// Whether the track a scheduled end waits for is over: something else is playing, or playback stopped
+// on it at its end or back at its start (where Spotify leaves the last track once the context ran out,
+// which is how every session that stopped queueing for its limits ends)
+function isScheduledEndDue(scheduledEnd, currentPlayback) {
+  if (currentPlayback.item?.uri !== scheduledEnd.trackUri) {
+    return true;
+  }
+  if (currentPlayback.is_playing) {
+    return false;
+  }
+
+  const progressMs = currentPlayback.progress_ms || 0;
+  return progressMs === 0 || progressMs >= currentPlayback.item.duration_ms - TRACK_END_MARGIN_MS;
+}
+
+// Carry out a scheduled session end once the track it was waiting for is over
+async function runScheduledEnd(user, scheduledEnd) {
+  const { spotifyClient, shuffleState } = user;
+  if (scheduledEnd.action === 'switch-context') {
+    const contextUri = await spotifyClient.normalizeContextUri(PASS_SWITCH_CONTEXT);
+    console.log(`Switching session to ${contextUri} (${scheduledEnd.reason})`);
+
+    const result = await startShuffleSession(user, [{ contextUri, weight: 1 }], {
+      strategy: shuffleState.getStrategy(),
+      strategyOptions: shuffleState.getStrategyOptions(),
+      spacingRules: shuffleState.getSpacingRules(),
+      queueMode: shuffleState.getQueueMode(),
+      device: shuffleState.deviceMode === 'pinned' ? shuffleState.getDeviceId() : 'follow',
+      limits: {
+        endsAt: shuffleState.getLimits().endsAt,
+        trackLimit: shuffleState.getRemainingLimits().tracks
+      }
+    });
+    if (result.success) {
+      return;
+    }
+
+    console.error('Failed to switch context, stopping instead:', result.body);
+  }
+
+  console.log(`Stopping session (${scheduledEnd.reason})`);
+  await stopShuffleSession(user, { mode: 'pause', reason: scheduledEnd.reason });
+}
+
+// Move the session between ACTIVE, SUSPENDED_BY_USER and RESUMABLE based on what is playing,
+// and end it once it has been idle (not ACTIVE) for SESSION_IDLE_EXPIRY_MINUTES
+async function updateSessionState(user, currentPlayback, userQueuedTracks = 0) {
+  const { shuffleState } = user;
+  const previousState = shuffleState.state;
+
+  if (shuffleState.shouldTakeControl(currentPlayback, userQueuedTracks)) {
+    shuffleState.transition('ACTIVE', 'the STSD playlist is playing');
+  } else if (!currentPlayback?.is_playing) {
+    shuffleState.transition('RESUMABLE', currentPlayback ? 'playback paused elsewhere' : 'nothing playing');
+  } else if (shuffleState.deviceMode === 'pinned' && currentPlayback.device?.id !== shuffleState.getDeviceId()) {
+    shuffleState.transition('SUSPENDED_BY_USER', `playback moved to ${currentPlayback.device?.name || 'another device'}`);
+  } else if (userQueuedTracks > 0 && currentPlayback.context?.uri === `spotify:playlist:${shuffleState.getStsdPlaylistId()}`) {
+    shuffleState.transition('SUSPENDED_BY_USER', `user queued ${userQueuedTracks} track(s)`);
+  } else {
+    shuffleState.transition('SUSPENDED_BY_USER', `user switched to ${currentPlayback.context?.uri || 'playback without a context'}`);
+  }
+
+  if (shuffleState.state !== 'ACTIVE' && SESSION_IDLE_EXPIRY_MINUTES > 0 &&
+    Date.now() - shuffleState.suspendedAt >= SESSION_IDLE_EXPIRY_MINUTES * 60 * 1000) {
+    await stopShuffleSession(user, { mode: 'keep-playing', reason: `idle for ${SESSION_IDLE_EXPIRY_MINUTES} minutes` });
+    return;
+  }
+
+  if (shuffleState.state !== previousState) {
+    await saveSessionState(user);
+  }
+}
+
+// End the current session
+//   mode: 'keep-playing' (leave playback alone), 'return' (play the original context from the
+//         current track and position) or 'pause'
+//   deletePlaylist: remove the session's [STSD] playlist
+//   countQueued: count tracks queued but not heard yet as played, since the queue plays them out after
+//                the session is gone ('keep-playing' only); otherwise they are released, staying eligible
+async function stopShuffleSession(user, { mode = 'keep-playing', deletePlaylist = false, countQueued = false, reason = 'stopped' }) {
+  const { spotifyClient, shuffleState, playbackTracker, database } = user;
+  const sourceContexts = shuffleState.getSourceContexts();
+  const stsdPlaylistId = shuffleState.getStsdPlaylistId();
+  const currentPlayback = await spotifyClient.getCurrentPlayback();
+  const currentTrackUri = currentPlayback?.item?.uri || null;
+
+  // Settle what has been heard up to now
+  await handlePlaybackEvents(user, playbackTracker.observe(currentPlayback, PLAY_CONFIRMATION));
+
+  const result = { mode, playlistDeleted: false, countedAsPlayed: [], released: [] };
+
+  for (const pick of await database.getPendingPicks(sourceContexts)) {
+    if (countQueued && mode === 'keep-playing') {
+      await database.confirmPendingPick(pick.context_id, pick.track_id);
+      result.countedAsPlayed.push(pick.track_id);
+    } else {
+      await database.removePendingPick(pick.context_id, pick.track_id);
+      result.released.push(pick.track_id);
+    }
+  }
+
+  if (mode === 'pause') {
+    await spotifyClient.pausePlayback(shuffleState.getDeviceId());
+  } else if (mode === 'return') {
+    // Track offsets only work for playlists and albums; elsewhere the context starts from the top
+    const trackContext = currentTrackUri ? shuffleState.findSourceContext(currentTrackUri) : null;
+    const originalContext = trackContext || sourceContexts[0];
+    const [, type] = originalContext.split(':');
+    const canSeek = !!trackContext && (type === 'playlist' || type === 'album');
+
+    console.log(`Returning to ${originalContext}${canSeek ? ` at ${currentTrackUri}` : ''}`);
+    await spotifyClient.startPlaybackWithShuffle(
+      originalContext,
+      shuffleState.getDeviceId(),
+      false,
+      canSeek ? currentTrackUri : null,
+      canSeek ? currentPlayback.progress_ms || 0 : 0
+    );
+    result.returnedTo = originalContext;
+  }
+
+  if (deletePlaylist && stsdPlaylistId) {
+    result.playlistDeleted = await spotifyClient.deletePlaylist(stsdPlaylistId);
+  }
+
+  playbackTracker.reset();
+  shuffleState.stopShuffle(reason);
+  await saveSessionState(user);
+
+  return result;
+}
+
+// Persist the session state so a restart can pick it up again
+async function saveSessionState(user) {
+  const { shuffleState, database } = user;
+  try {
+    await database.saveSessionState(shuffleState.serialize());
+  } catch (error) {
+    console.error('Failed to save session state:', error);
+  }
+}
+
+// On boot, pick up the saved session if its STSD playlist is still playing
+// The source contexts are re-fetched and re-synced; pending picks are kept since they may still be queued.
+async function resumeSavedSession(user) {
+  const { spotifyClient, shuffleState, playbackTracker, database } = user;
+  const saved = await database.getSessionState();
+  if (!saved || !saved.isActive) {
+    return;
+  }
+
+  await spotifyClient.tokensLoaded;
+  if (!spotifyClient.isUserAuthenticated()) {
+    console.log(`Saved session of user ${user.id} not resumed: not authenticated`);
+    return;
+  }
+
+  const currentPlayback = await spotifyClient.getCurrentPlayback();
+  if (currentPlayback?.context?.uri !== `spotify:playlist:${saved.stsdPlaylistId}`) {
+    console.log(`Saved session of user ${user.id} not resumed: its STSD playlist is no longer playing`);
+    const { savedAt, ...state } = saved;
+    await database.saveSessionState({ ...state, isActive: false });
+    return;
+  }
+
+  const tracksByContext = {};
+  for (const source of saved.sources) {
+    const contextData = await spotifyClient.getContextTracks(source.contextUri);
+    await database.syncContextTracks(source.contextUri, contextData.tracks, NEW_TRACK_ONBOARDING);
+    tracksByContext[source.contextUri] = contextData.tracks;
+  }
+
+  playbackTracker.reset();
+  shuffleState.restore(saved, tracksByContext);
+
+  // Sessions saved before the queue ledger existed: their playlist track and pending picks are what STSD queued
+  if (!saved.queueLedger) {
+    if (saved.initialTrackUri) {
+      shuffleState.recordQueued(saved.initialTrackUri, saved.sources[0].contextUri, 'playlist');
+    }
+    for (const pick of await database.getPendingPicks(shuffleState.getSourceContexts())) {
+      shuffleState.recordQueued(pick.track_id, pick.context_id, 'queue');
+    }
+  }
+
+  scheduleMonitor(user, MONITOR_MIN_INTERVAL_MS, 'session resumed');
+  console.log(`Resumed shuffle session of user ${user.id} saved at ${saved.savedAt}, queue management continues`);
+}
+
 app.use(express.json());
 
+// Send an error response, with the status matching the Spotify request layer's error type:
+// 401 not logged in, 503 rate limited (with Retry-After), 409 no active device, 404 not found, else 500
+function sendError(res, message, error) {
+  let status = 500;
+  if (error instanceof AuthError) {
+    status = 401;
+  } else if (error instanceof RateLimited) {
+    status = 503;
+    res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+  } else if (error instanceof NoActiveDevice) {
+    status = 409;
+  } else if (error instanceof NotFound) {
+    status = 404;
+  }
+
+  res.status(status).json({ error: message, details: error.message });
+}
+
+// One probe of a debug endpoint: { status, ok, data } with the response body, or with the status
+// and message of the typed error it failed with (after the request layer's retries)
+async function probeSpotify(request) {
+  try {
+    return { status: 200, ok: true, data: await request() };
+  } catch (error) {
+    if (!(error instanceof SpotifyError)) {
+      throw error;
+    }
+    return { status: error.status, ok: false, data: error.message };
+  }
+}
+
+// Every /api route acts for one user: ?user=<id> or the X-STSD-User header, else the default user
+app.use('/api', (req, res, next) => {
+  const userId = req.query.user || req.get('X-STSD-User') || users.DEFAULT_USER_ID;
+  if (!users.isValidId(userId)) {
+    return res.status(400).json({ error: `Invalid user id: ${userId}`, details: 'User ids are 1-64 letters, digits, _ or -' });
+  }
+
+  if (userId !== users.DEFAULT_USER_ID && !users.has(userId)) {
+    return res.status(404).json({ error: `Unknown user: ${userId}`, usage: `Log in first via /auth/login?user=${userId}` });
+  }
+
+  req.user = users.get(userId);
+  next();
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
@@ -73,218 +610,1029 @@ app.get('/health', (req, res) => {
 
 // API routes
 app.get('/api/status', async (req, res) => {
+  const { spotifyClient, shuffleState, playbackTracker, database } = req.user;
   const status = {
     message: 'STSD (Spotify True Shuffle Daemon) is running',
     version: '1.0.0',
+    userId: req.user.id,
     authenticated: spotifyClient.isUserAuthenticated()
   };
 
   if (spotifyClient.isUserAuthenticated()) {
     try {
-      const user = await spotifyClient.getCurrentUser();
-      if (user) {
-        status.user = user;
+      const profile = await spotifyClient.getCurrentUser();
+      if (profile) {
+        status.user = profile;
       }
     } catch (error) {
       console.error('Failed to get user info for status:', error);
     }
-  }
-
-  // Add shuffle state info
-  status.shuffle = shuffleState.getState();
+  }
+
+  // Add shuffle state info
+  status.shuffle = shuffleState.getState();
+  if (shuffleState.isActive) {
+    try {
+      status.shuffle.pendingPicks = (await database.getPendingPicks(shuffleState.getSourceContexts())).length;
+      status.shuffle.passes = await Promise.all(shuffleState.sources.map(source => getPassStatus(req.user, source)));
+    } catch (error) {
+      console.error('Failed to get session progress for status:', error);
+    }
+  }
+  status.passCompletion = {
+    action: PASS_COMPLETE_ACTION,
+    switchContext: PASS_SWITCH_CONTEXT
+  };
+  status.playConfirmation = {
+    ...PLAY_CONFIRMATION,
+    skipPolicy: SKIP_POLICY,
+    skipPenaltyRounds: SKIP_PENALTY_ROUNDS,
+    current: playbackTracker.getState()
+  };
+  status.newTrackOnboarding = NEW_TRACK_ONBOARDING;
+  status.queueTarget = QUEUE_TARGET;
+  status.monitor = getMonitorSchedule(req.user);
+  status.availableStrategies = shuffleStrategies.listStrategies();
+
+  res.json(status);
+});
+
+// Skip statistics for a context (defaults to the context currently being shuffled)
+app.get('/api/stats/skips', async (req, res) => {
+  const { shuffleState, database } = req.user;
+  try {
+    const contextUri = req.query.context || shuffleState.currentContext;
+    if (!contextUri) {
+      return res.status(400).json({ error: 'No context given and no shuffle active', usage: 'Add ?context=spotify:playlist:... to the URL' });
+    }
+
+    const limit = parseInt(req.query.limit) || 50;
+    const stats = await database.getSkipStats(contextUri, limit);
+
+    // Add track names when the context is the one we're managing
+    const trackInfoByUri = new Map(
+      shuffleState.getSourceContexts().includes(contextUri) ? shuffleState.getAllTracks().map(track => [track.uri, track]) : []
+    );
+
+    res.json({
+      context: contextUri,
+      skipPolicy: SKIP_POLICY,
+      tracks: stats.map(row => ({
+        uri: row.track_id,
+        name: trackInfoByUri.get(row.track_id)?.name || null,
+        artists: trackInfoByUri.get(row.track_id)?.artists || null,
+        skipCount: row.skip_count,
+        playCount: row.play_count,
+        skipRate: row.skip_rate,
+        lastSkipped: row.last_skipped,
+        penaltyRounds: row.penalty_rounds
+      }))
+    });
+  } catch (error) {
+    console.error('Failed to get skip stats:', error);
+    sendError(res, 'Failed to get skip stats', error);
+  }
+});
+
+// Track flag actions exposed over the API: action -> [flag, value]
+const TRACK_FLAG_ACTIONS = {
+  ban: ['banned', true],
+  unban: ['banned', false],
+  favorite: ['favorite', true],
+  unfavorite: ['favorite', false]
+};
+
+// List banned and favorite tracks of a context (defaults to the context currently being shuffled)
+app.get('/api/tracks/flags', async (req, res) => {
+  const { shuffleState, database } = req.user;
+  try {
+    const contextUri = req.query.context || shuffleState.currentContext;
+    if (!contextUri) {
+      return res.status(400).json({ error: 'No context given and no shuffle active', usage: 'Add ?context=spotify:playlist:... to the URL' });
+    }
+
+    const flagged = await database.getFlaggedTracks(contextUri);
+
+    res.json({
+      context: contextUri,
+      banned: flagged.filter(row => row.banned).map(row => row.track_id),
+      favorites: flagged.filter(row => row.favorite).map(row => row.track_id)
+    });
+  } catch (error) {
+    console.error('Failed to get track flags:', error);
+    sendError(res, 'Failed to get track flags', error);
+  }
+});
+
+// Ban the currently playing track in its context (and skip it unless ?skip=false)
+app.get('/api/tracks/current/ban', async (req, res) => {
+  const { spotifyClient, shuffleState, database } = req.user;
+  try {
+    if (!spotifyClient.isUserAuthenticated()) {
+      return res.status(401).json({ error: 'Not authenticated with Spotify' });
+    }
+
+    const currentPlayback = await spotifyClient.getCurrentPlayback();
+    const trackUri = currentPlayback?.item?.uri;
+    if (!trackUri) {
+      return res.status(400).json({ error: 'Nothing is currently playing' });
+    }
+
+    // While playing our STSD playlist, the track belongs to the (mix source) context we're shuffling
+    const playbackContextUri = currentPlayback.context?.uri;
+    const stsdPlaylistId = shuffleState.getStsdPlaylistId();
+    const contextUri = stsdPlaylistId && playbackContextUri?.includes(stsdPlaylistId)
+      ? shuffleState.findSourceContext(trackUri)
+      : playbackContextUri;
+
+    if (!contextUri) {
+      return res.status(400).json({ error: 'Currently playing track has no context to ban it from' });
+    }
+
+    const updated = await database.setTrackFlag(contextUri, trackUri, 'banned', true);
+    if (!updated) {
+      return res.status(404).json({ error: 'Track not known for this context - start a shuffle of it first', track: trackUri, context: contextUri });
+    }
+
+    console.log(`Banned currently playing track ${trackUri} in ${contextUri}`);
+
+    const skipped = req.query.skip !== 'false' && await spotifyClient.skipToNext(shuffleState.isActive ? shuffleState.getDeviceId() : null);
+
+    res.json({
+      message: 'Currently playing track banned',
+      track: { uri: trackUri, name: currentPlayback.item.name },
+      context: contextUri,
+      skipped: !!skipped
+    });
+  } catch (error) {
+    console.error('Failed to ban current track:', error);
+    sendError(res, 'Failed to ban current track', error);
+  }
+});
+
+// Ban/unban/favorite/unfavorite a track in a context (defaults to the context currently being shuffled)
+// Example: /api/tracks/spotify:track:abc123/ban?context=spotify:playlist:xyz
+app.get('/api/tracks/:trackUri/:action(ban|unban|favorite|unfavorite)', async (req, res) => {
+  const { shuffleState, database } = req.user;
+  try {
+    const { trackUri, action } = req.params;
+    const contextUri = req.query.context || shuffleState.currentContext;
+    if (!contextUri) {
+      return res.status(400).json({ error: 'No context given and no shuffle active', usage: 'Add ?context=spotify:playlist:... to the URL' });
+    }
+
+    const [flag, value] = TRACK_FLAG_ACTIONS[action];
+    const updated = await database.setTrackFlag(contextUri, trackUri, flag, value);
+    if (!updated) {
+      return res.status(404).json({ error: 'Track not known for this context', track: trackUri, context: contextUri });
+    }
+
+    console.log(`Track ${trackUri} ${flag} = ${value} in ${contextUri}`);
+
+    res.json({ message: `Track ${action} applied`, track: trackUri, context: contextUri });
+  } catch (error) {
+    console.error('Failed to update track flag:', error);
+    sendError(res, 'Failed to update track flag', error);
+  }
+});
+
+// Auth routes
+// Logins in progress: OAuth state -> { userId, expiresAt }, so the callback knows whose tokens it got
+// A login not completed within LOGIN_STATE_TTL_MS has to be started again.
+const pendingLogins = new Map();
+const LOGIN_STATE_TTL_MS = 10 * 60 * 1000;
+
+// Forget logins that were started but never completed
+function prunePendingLogins(now = Date.now()) {
+  for (const [state, login] of pendingLogins) {
+    if (login.expiresAt <= now) {
+      pendingLogins.delete(state);
+    }
+  }
+}
+
+// Log a user in (?user=<id>, defaults to the default user); each user gets its own token file
+app.get('/auth/login', (req, res) => {
+  const userId = req.query.user || users.DEFAULT_USER_ID;
+  if (!users.isValidId(userId)) {
+    return res.status(400).json({ error: `Invalid user id: ${userId}`, details: 'User ids are 1-64 letters, digits, _ or -' });
+  }
+
+  prunePendingLogins();
+  const state = crypto.randomBytes(16).toString('hex');
+  pendingLogins.set(state, { userId, expiresAt: Date.now() + LOGIN_STATE_TTL_MS });
+
+  const authUrl = users.get(userId).spotifyClient.getAuthUrl(state);
+  res.redirect(authUrl);
+});
+
+app.get('/auth/callback', async (req, res) => {
+  const { code, state } = req.query;
+
+  if (!code) {
+    return res.status(400).json({ error: 'Authorization code missing' });
+  }
+
+  // Only a state handed out by /auth/login says whose tokens these are; anything else could
+  // overwrite another user's login
+  prunePendingLogins();
+  const login = pendingLogins.get(state);
+  if (!login) {
+    return res.status(400).json({ error: 'Unknown or expired login state', details: 'Start the login again at /auth/login' });
+  }
+  pendingLogins.delete(state);
+
+  const { userId } = login;
+  const success = await users.get(userId).spotifyClient.handleCallback(code);
+
+  if (success) {
+    res.json({ message: 'Authentication successful! STSD is now connected to your Spotify account.', user: userId });
+  } else {
+    res.status(500).json({ error: 'Authentication failed' });
+  }
+});
+
+// List the users this server knows, whether they are logged in and their session state
+app.get('/api/users', (req, res) => {
+  res.json({
+    users: users.list().map(user => ({
+      id: user.id,
+      authenticated: user.spotifyClient.isUserAuthenticated(),
+      session: user.shuffleState.state
+    }))
+  });
+});
+
+// Debug endpoint to reset all play counts (of the requested user)
+app.get('/api/debug/reset-counts', async (req, res) => {
+  const { database } = req.user;
+  try {
+    const result = await database.resetAllPlayCounts();
+    res.json({
+      message: 'All play counts reset to zero',
+      affectedRows: result
+    });
+  } catch (error) {
+    console.error('Failed to reset play counts:', error);
+    sendError(res, 'Failed to reset play counts', error);
+  }
+});
+
+// Parse strategy and spacing options shared by the session start endpoints
+// Returns { options } or { error } (an HTTP 400 body)
+function parseSessionOptions(query) {
+  const strategy = query.strategy || DEFAULT_SHUFFLE_STRATEGY;
+  if (!shuffleStrategies.isValidStrategy(strategy)) {
+    return {
+      error: {
+        error: `Unknown shuffle strategy: ${strategy}`,
+        availableStrategies: shuffleStrategies.listStrategies()
+      }
+    };
+  }
+
+  const temperature = query.temperature !== undefined ? parseFloat(query.temperature) : SOFT_SHUFFLE_TEMPERATURE;
+  if (!(temperature > 0)) {
+    return { error: { error: 'Temperature must be a positive number' } };
+  }
+
+  const spacingRules = {
+    artistGap: query.artistGap !== undefined ? parseInt(query.artistGap) : ARTIST_MIN_GAP,
+    albumGap: query.albumGap !== undefined ? parseInt(query.albumGap) : ALBUM_MIN_GAP
+  };
+  if (!(spacingRules.artistGap >= 0) || !(spacingRules.albumGap >= 0)) {
+    return { error: { error: 'artistGap and albumGap must be non-negative integers' } };
+  }
+
+  const queueMode = query.queueMode || QUEUE_MODE;
+  if (!QUEUE_MODES.includes(queueMode)) {
+    return { error: { error: `Unknown queue mode: ${queueMode}`, availableQueueModes: QUEUE_MODES } };
+  }
+
+  const limits = parseSessionLimits(query);
+  if (limits.error) {
+    return limits;
+  }
+
+  return {
+    options: {
+      strategy,
+      strategyOptions: {
+        temperature,
+        recencyHalfLifeHours: SOFT_SHUFFLE_RECENCY_HALF_LIFE_HOURS
+      },
+      spacingRules,
+      queueMode,
+      device: query.device || SPOTIFY_DEVICE_ID || 'follow',
+      limits: limits.limits
+    }
+  };
+}
+
+// Resolve a session device option: 'follow' (start on the active device, then move along with
+// playback) or a device id/name to pin the session to
+// Returns { deviceId, deviceMode } or null if the device isn't available
+async function resolveSessionDevice(user, device) {
+  const { spotifyClient } = user;
+  if (device === 'follow') {
+    const activeDevice = (await spotifyClient.getDevices()).find(d => d.is_active);
+    return { deviceId: activeDevice ? activeDevice.id : null, deviceMode: 'follow' };
+  }
+
+  const found = await spotifyClient.findDevice(device);
+  return found ? { deviceId: found.id, deviceMode: 'pinned' } : null;
+}
+
+// Re-read every source of the active session from Spotify and sync the changes
+// Tracks removed from a source are archived and stop being picked; added ones become eligible.
+async function resyncSessionSources(user) {
+  const { spotifyClient, shuffleState, database } = user;
+  for (const contextUri of shuffleState.getSourceContexts()) {
+    try {
+      const contextData = await spotifyClient.getContextTracks(contextUri);
+      const changes = await database.syncContextTracks(contextUri, contextData.tracks, NEW_TRACK_ONBOARDING);
+
+      if (changes.added.length > 0 || changes.removed.length > 0 || changes.restored.length > 0) {
+        console.log(`Context ${contextUri} changed: +${changes.added.length} new, -${changes.removed.length} removed, ${changes.restored.length} re-added`);
+      }
+
+      shuffleState.updateSourceTracks(contextUri, contextData.tracks);
+    } catch (error) {
+      console.error(`Failed to re-sync context ${contextUri}:`, error.message);
+    }
+  }
+
+  shuffleState.markSynced();
+}
+
+// Start playing a just-created STSD playlist, retrying with growing delays while Spotify still answers 404 for it
+async function startFreshPlaylistPlayback(user, playlistUri) {
+  const { spotifyClient, shuffleState } = user;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await spotifyClient.startPlaybackWithShuffle(playlistUri, shuffleState.getDeviceId(), false);
+    } catch (error) {
+      if (!(error instanceof NotFound) || attempt >= PLAYLIST_SYNC_RETRY_DELAYS_MS.length) {
+        throw error;
+      }
+
+      const delayMs = PLAYLIST_SYNC_RETRY_DELAYS_MS[attempt];
+      console.log(`Playlist not playable yet, retrying in ${delayMs}ms...`);
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+}
+
+// Start a shuffle session over one or more weighted sources: [{ contextUri, weight }]
+// Fetches and syncs every source, creates a fresh STSD playlist, starts playback and fills the queue.
+// options come from parseSessionOptions(), plus optional limits: { endsAt, trackLimit }.
+// Returns { success: true, contexts } or { success: false, status, body } for the HTTP response.
+async function startShuffleSession(user, sources, options) {
+  const { spotifyClient, shuffleState, playbackTracker, database } = user;
+  const { strategy, strategyOptions, spacingRules } = options;
+
+  const sessionDevice = await resolveSessionDevice(user, options.device || 'follow');
+  if (!sessionDevice) {
+    return {
+      success: false,
+      status: 404,
+      body: { error: `Device not found: ${options.device}`, availableDevices: await spotifyClient.getDevices() }
+    };
+  }
+
+  // Fetch and sync every source context
+  const loadedSources = [];
+  for (const source of sources) {
+    let contextData;
+    try {
+      contextData = await spotifyClient.getContextTracks(source.contextUri);
+    } catch (error) {
+      // Check if this is a 404 error for a Spotify-generated playlist
+      if (error instanceof NotFound && source.contextUri.includes('playlist')) {
+        return {
+          success: false,
+          status: 400,
+          body: {
+            error: 'Cannot shuffle this playlist',
+            details: 'This appears to be a Spotify-generated playlist (like Daily Mix, Discover Weekly, etc.) that cannot be accessed. Please try with a regular user-created playlist or album.',
+            contextUri: source.contextUri
+          }
+        };
+      }
+      throw error; // Re-throw other errors
+    }
+    console.log(`Fetched context: ${contextData.type} - ${contextData.id}`);
+
+    // Store everything under the stable context id (e.g. one id for Liked Songs)
+    const contextUri = contextData.contextUri;
+
+    // Sync tracks with database (add new tracks, archive removed ones, preserve play counts)
+    await database.syncContextTracks(contextUri, contextData.tracks, NEW_TRACK_ONBOARDING);
+
+    // Picks queued by an earlier session and never heard become eligible again
+    await database.clearPendingPicks(contextUri);
+
+    loadedSources.push({ ...source, contextUri, contextData });
+  }
+
+  // Starting over a running session replaces it: release what it queued but wasn't heard, like
+  // stopShuffleSession() does (done once the new sources loaded, so a failed start leaves it intact)
+  if (shuffleState.isActive) {
+    for (const pick of await database.getPendingPicks(shuffleState.getSourceContexts())) {
+      await database.removePendingPick(pick.context_id, pick.track_id);
+      console.log(`Released pending pick of the replaced session: ${pick.track_id}`);
+    }
+  }
+
+  playbackTracker.reset();
+
+  // Create a fresh STSD playlist for this shuffle session
+  const originalContextName = loadedSources.length === 1
+    ? loadedSources[0].contextData.name
+    : `Mix of ${loadedSources.map(source => source.contextData.name).join(' + ')}`;
+  const stsdPlaylistId = await spotifyClient.createFreshSTSDPlaylist(originalContextName);
+
+  // Start managing the session first (before setting initial track)
+  shuffleState.startShuffle(
+    loadedSources.map(source => ({
+      contextUri: source.contextUri,
+      weight: source.weight,
+      tracks: source.contextData.tracks
+    })),
+    strategy,
+    strategyOptions,
+    spacingRules
+  );
+  shuffleState.setStsdPlaylistId(stsdPlaylistId);
+  shuffleState.setDevice(sessionDevice.deviceId, sessionDevice.deviceMode);
+  shuffleState.setLimits(options.limits);
+  shuffleState.setQueueMode(options.queueMode || QUEUE_MODE);
+
+  // Add one single least-played track to the fresh playlist
+  console.log('Adding one least-played track to fresh playlist...');
+  const trackResult = await addNextSessionTrack(user, stsdPlaylistId);
+
+  if (!trackResult.success) {
+    console.error('Failed to add track to fresh playlist');
+    return { success: false, status: 500, body: { error: 'Failed to add track to fresh playlist' } };
+  }
+
+  console.log(`Added track: ${trackResult.trackInfo.name} by ${trackResult.trackInfo.artists}`);
+
+  // Store the initial track URI for queue filtering
+  shuffleState.setInitialTrack(trackResult.trackUri);
+  await saveSessionState(user);
+
+  // Rolling playlist mode: the upcoming tracks go into the playlist too, before it starts playing
+  const rollingPlaylist = shuffleState.getQueueMode() === 'playlist';
+  if (rollingPlaylist) {
+    console.log('Adding upcoming tracks to the playlist...');
+    await fillToQueueTarget(user, 0, stsdPlaylistId);
+  }
+
+  // Start playing the fresh playlist
+  const stsdPlaylistUri = `spotify:playlist:${stsdPlaylistId}`;
+  console.log('Starting playback of fresh STSD playlist...');
+  await startFreshPlaylistPlayback(user, stsdPlaylistUri);
+  console.log('Fresh playlist playback started successfully!');
+
+  // Add remaining tracks to queue
+  if (!rollingPlaylist) {
+    console.log('Adding additional tracks to queue...');
+    await fillToQueueTarget(user);
+  }
+
+  console.log('Queue population complete!');
+  scheduleMonitor(user, MONITOR_INTERVAL_MS, 'session started');
+
+  return {
+    success: true,
+    contexts: loadedSources.map(source => ({
+      uri: source.contextData.contextUri,
+      type: source.contextData.type,
+      id: source.contextData.id,
+      totalTracks: source.contextData.totalTracks,
+      weight: source.weight
+    }))
+  };
+}
+
+// Shuffle control endpoint - takes over whatever is currently playing
+app.get('/api/shuffle/start', async (req, res) => {
+  const { spotifyClient, shuffleState } = req.user;
+  try {
+    if (!spotifyClient.isUserAuthenticated()) {
+      return res.status(401).json({ error: 'Not authenticated with Spotify' });
+    }
+
+    const parsed = parseSessionOptions(req.query);
+    if (parsed.error) {
+      return res.status(400).json(parsed.error);
+    }
+    const { strategy, strategyOptions, spacingRules } = parsed.options;
+
+    // Get current playback to determine what context to shuffle
+    console.log('Getting current playback to determine context...');
+    const currentPlayback = await spotifyClient.getCurrentPlayback();
+
+    if (!currentPlayback || !currentPlayback.context) {
+      return res.status(400).json({
+        error: 'No active playback context found. Please start playing a playlist, album or artist in Spotify first.'
+      });
+    }
+
+    const contextUri = await spotifyClient.normalizeContextUri(currentPlayback.context.uri);
+    console.log(`Starting shuffle for current context: ${contextUri}`);
+
+    // Check if we're already managing this exact context (idempotency)
+    if (shuffleState.isManagingContext(contextUri)) {
+      console.log(`Already managing shuffle for context ${contextUri}`);
+
+      // Allow switching strategy (or its tuning) mid-session without restarting
+      if (req.query.strategy || req.query.temperature !== undefined) {
+        shuffleState.setStrategy(strategy, strategyOptions);
+        await saveSessionState(req.user);
+      }
+
+      // Setting a sleep timer on the running session: only the given limits change, tracks counts from now on
+      if (hasSessionLimits(req.query)) {
+        shuffleState.setLimits(mergeSessionLimits(
+          shuffleState.getLimits(), req.query, parsed.options.limits, shuffleState.getPlayedTracks()
+        ));
+        await saveSessionState(req.user);
+      }
+
+      return res.json({
+        message: 'Already shuffling this context',
+        context: {
+          uri: contextUri,
+          alreadyActive: true
+        },
+        strategy: shuffleState.getStrategy(),
+        strategyOptions: shuffleState.getStrategyOptions(),
+        limits: shuffleState.getLimits(),
+        limitsRemaining: shuffleState.getRemainingLimits()
+      });
+    }
+
+    const result = await withSessionLock(req.user, () => startShuffleSession(req.user, [{ contextUri, weight: 1 }], parsed.options));
+    if (!result.success) {
+      return res.status(result.status).json(result.body);
+    }
+
+    res.json({
+      message: 'Shuffle started successfully',
+      context: {
+        ...result.contexts[0],
+        alreadyActive: false
+      },
+      strategy: strategy,
+      strategyOptions: strategyOptions,
+      spacingRules: spacingRules,
+      queueMode: parsed.options.queueMode,
+      limits: parsed.options.limits
+    });
+
+  } catch (error) {
+    console.error('Failed to start shuffle:', error);
+    sendError(res, 'Failed to start shuffle', error);
+  }
+});
+
+// End the current session
+// Options (JSON body or query): mode=keep-playing|return|pause, deletePlaylist=true, countQueued=true
+app.post('/api/shuffle/stop', async (req, res) => {
+  const { spotifyClient, shuffleState } = req.user;
+  try {
+    if (!spotifyClient.isUserAuthenticated()) {
+      return res.status(401).json({ error: 'Not authenticated with Spotify' });
+    }
+
+    if (!shuffleState.isActive) {
+      return res.status(400).json({ error: 'No shuffle session active' });
+    }
+
+    const options = { ...req.query, ...req.body };
+    const mode = options.mode || 'keep-playing';
+    if (!STOP_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Unknown stop mode: ${mode}`, availableModes: STOP_MODES });
+    }
+
+    const countQueued = String(options.countQueued) === 'true';
+    if (countQueued && mode !== 'keep-playing') {
+      return res.status(400).json({ error: 'countQueued only applies to mode=keep-playing; other modes never play the queued tracks' });
+    }
+
+    const result = await withSessionLock(req.user, async () => {
+      // A monitor check may have ended the session while this stop waited for it
+      if (!shuffleState.isActive) {
+        return null;
+      }
+      return stopShuffleSession(req.user, {
+        mode,
+        deletePlaylist: String(options.deletePlaylist) === 'true',
+        countQueued,
+        reason: 'stopped via API'
+      });
+    });
+    if (!result) {
+      return res.status(400).json({ error: 'No shuffle session active' });
+    }
+
+    res.json({ message: 'Shuffle stopped', ...result });
+
+  } catch (error) {
+    console.error('Failed to stop shuffle:', error);
+    sendError(res, 'Failed to stop shuffle', error);
+  }
+});
+
+// List available devices and the device the session is on
+app.get('/api/devices', async (req, res) => {
+  const { spotifyClient, shuffleState } = req.user;
+  try {
+    if (!spotifyClient.isUserAuthenticated()) {
+      return res.status(401).json({ error: 'Not authenticated with Spotify' });
+    }
 
-  res.json(status);
+    res.json({
+      devices: await spotifyClient.getDevices(),
+      session: shuffleState.isActive
+        ? { deviceId: shuffleState.getDeviceId(), deviceMode: shuffleState.deviceMode }
+        : null,
+      defaultDevice: SPOTIFY_DEVICE_ID
+    });
+  } catch (error) {
+    console.error('Failed to list devices:', error);
+    sendError(res, 'Failed to list devices', error);
+  }
 });
 
-// Auth routes
-app.get('/auth/login', (req, res) => {
-  const authUrl = spotifyClient.getAuthUrl();
-  res.redirect(authUrl);
-});
+// Pin the current session to a device (by id or name), or let it follow playback with ?device=follow
+app.get('/api/devices/pin', async (req, res) => {
+  const { spotifyClient, shuffleState } = req.user;
+  try {
+    if (!spotifyClient.isUserAuthenticated()) {
+      return res.status(401).json({ error: 'Not authenticated with Spotify' });
+    }
 
-app.get('/auth/callback', async (req, res) => {
-  const { code } = req.query;
+    if (!shuffleState.isActive) {
+      return res.status(400).json({ error: 'No shuffle session active' });
+    }
 
-  if (!code) {
-    return res.status(400).json({ error: 'Authorization code missing' });
-  }
+    if (!req.query.device) {
+      return res.status(400).json({ error: 'No device given', usage: 'Add ?device=<id or name> or ?device=follow to the URL' });
+    }
+
+    const sessionDevice = await resolveSessionDevice(req.user, req.query.device);
+    if (!sessionDevice) {
+      return res.status(404).json({ error: `Device not found: ${req.query.device}`, availableDevices: await spotifyClient.getDevices() });
+    }
 
-  const success = await spotifyClient.handleCallback(code);
+    shuffleState.setDevice(sessionDevice.deviceId, sessionDevice.deviceMode);
+    await saveSessionState(req.user);
+    console.log(`Session device: ${sessionDevice.deviceMode} ${sessionDevice.deviceId}`);
 
-  if (success) {
-    res.json({ message: 'Authentication successful! STSD is now connected to your Spotify account.' });
-  } else {
-    res.status(500).json({ error: 'Authentication failed' });
+    res.json({ message: 'Session device updated', ...sessionDevice });
+  } catch (error) {
+    console.error('Failed to pin device:', error);
+    sendError(res, 'Failed to pin device', error);
   }
 });
 
-// Debug endpoint to reset all play counts
-app.get('/api/debug/reset-counts', async (req, res) => {
+// Move playback to another device (by id or name); a pinned session is re-pinned to it
+app.get('/api/devices/transfer', async (req, res) => {
+  const { spotifyClient, shuffleState } = req.user;
   try {
-    const result = await database.resetAllPlayCounts();
-    res.json({
-      message: 'All play counts reset to zero',
-      affectedRows: result
-    });
+    if (!spotifyClient.isUserAuthenticated()) {
+      return res.status(401).json({ error: 'Not authenticated with Spotify' });
+    }
+
+    if (!req.query.device) {
+      return res.status(400).json({ error: 'No device given', usage: 'Add ?device=<id or name> to the URL' });
+    }
+
+    const device = await spotifyClient.findDevice(req.query.device);
+    if (!device) {
+      return res.status(404).json({ error: `Device not found: ${req.query.device}`, availableDevices: await spotifyClient.getDevices() });
+    }
+
+    await spotifyClient.transferPlayback(device.id, req.query.play !== 'false');
+
+    if (shuffleState.isActive) {
+      shuffleState.setDevice(device.id);
+      await saveSessionState(req.user);
+      scheduleMonitor(req.user, MONITOR_MIN_INTERVAL_MS, 'playback transferred');
+    }
+
+    res.json({ message: `Playback transferred to ${device.name}`, device });
   } catch (error) {
-    console.error('Failed to reset play counts:', error);
-    res.status(500).json({ error: 'Failed to reset play counts', details: error.message });
+    console.error('Failed to transfer playback:', error);
+    sendError(res, 'Failed to transfer playback', error);
   }
 });
 
-// Shuffle control endpoint - takes over whatever is currently playing
-app.get('/api/shuffle/start', async (req, res) => {
+// Mix session endpoint - shuffles several playlists/albums into one session with per-source weights
+// Example: /api/shuffle/mix?contexts=spotify:playlist:abc,spotify:playlist:def&weights=60,40
+app.get('/api/shuffle/mix', async (req, res) => {
+  const { spotifyClient } = req.user;
   try {
     if (!spotifyClient.isUserAuthenticated()) {
       return res.status(401).json({ error: 'Not authenticated with Spotify' });
     }
 
-    // Get current playback to determine what context to shuffle
-    console.log('Getting current playback to determine context...');
-    const currentPlayback = await spotifyClient.getCurrentPlayback();
+    const parsed = parseSessionOptions(req.query);
+    if (parsed.error) {
+      return res.status(400).json(parsed.error);
+    }
 
-    if (!currentPlayback || !currentPlayback.context) {
+    const contextUris = (req.query.contexts || '').split(',').map(uri => uri.trim()).filter(Boolean);
+    if (contextUris.length === 0) {
       return res.status(400).json({
-        error: 'No active playback context found. Please start playing a playlist or album in Spotify first.'
+        error: 'No contexts given',
+        usage: 'Add ?contexts=spotify:playlist:abc,spotify:album:def&weights=60,40 to the URL (weights default to equal)'
       });
     }
 
-    const contextUri = currentPlayback.context.uri;
-    console.log(`Starting shuffle for current context: ${contextUri}`);
-
-    // Check if we're already managing this exact context (idempotency)
-    if (shuffleState.isManagingContext(contextUri)) {
-      console.log(`Already managing shuffle for context ${contextUri}`);
-      return res.json({
-        message: 'Already shuffling this context',
-        context: {
-          uri: contextUri,
-          alreadyActive: true
-        }
-      });
+    if (new Set(contextUris).size !== contextUris.length) {
+      return res.status(400).json({ error: 'Each context may only appear once in a mix' });
     }
 
-    // Fetch context data to get the original name
-    let contextData;
-    try {
-      contextData = await spotifyClient.getContextTracks(contextUri);
-    } catch (error) {
-      // Check if this is a 404 error for a Spotify-generated playlist
-      if (error.message.includes('404') && contextUri.includes('playlist')) {
-        return res.status(400).json({
-          error: 'Cannot shuffle this playlist',
-          details: 'This appears to be a Spotify-generated playlist (like Daily Mix, Discover Weekly, etc.) that cannot be accessed. Please try with a regular user-created playlist or album.',
-          contextUri: contextUri
-        });
-      }
-      throw error; // Re-throw other errors
+    const weights = req.query.weights
+      ? String(req.query.weights).split(',').map(weight => parseFloat(weight))
+      : contextUris.map(() => 1);
+    if (weights.length !== contextUris.length || !weights.every(weight => weight > 0)) {
+      return res.status(400).json({ error: 'weights must be one positive number per context' });
     }
-    console.log(`Fetched context: ${contextData.type} - ${contextData.id}`);
 
-    // Sync tracks with database (add new tracks, preserve existing play counts)
-    await database.syncContextTracks(contextUri, contextData.tracks);
+    const sources = contextUris.map((contextUri, index) => ({ contextUri, weight: weights[index] }));
+    console.log(`Starting mix session: ${sources.map(source => `${source.contextUri} (weight ${source.weight})`).join(', ')}`);
+
+    const result = await withSessionLock(req.user, () => startShuffleSession(req.user, sources, parsed.options));
+    if (!result.success) {
+      return res.status(result.status).json(result.body);
+    }
 
-    // Create a fresh STSD playlist for this shuffle session
-    const originalContextName = `${contextData.type} ${contextData.id}`;
-    const stsdPlaylistId = await spotifyClient.createFreshSTSDPlaylist(originalContextName);
+    res.json({
+      message: 'Mix shuffle started successfully',
+      contexts: result.contexts,
+      strategy: parsed.options.strategy,
+      strategyOptions: parsed.options.strategyOptions,
+      spacingRules: parsed.options.spacingRules,
+      queueMode: parsed.options.queueMode,
+      limits: parsed.options.limits
+    });
 
-    // Start managing this context first (before setting initial track)
-    shuffleState.startShuffle(contextUri, contextData.tracks);
-    shuffleState.setStsdPlaylistId(stsdPlaylistId);
+  } catch (error) {
+    console.error('Failed to start mix shuffle:', error);
+    sendError(res, 'Failed to start mix shuffle', error);
+  }
+});
 
-    // Add one single least-played track to the fresh playlist
-    console.log('Adding one least-played track to fresh playlist...');
-    const trackResult = await addOneLeastPlayedTrack(contextUri, contextData.tracks, stsdPlaylistId);
+// Schedule rules: start a session for a context at the times a cron expression matches
+// Rules fire once per matching minute; a run missed by more than this (e.g. while the daemon was down) is skipped
+const SCHEDULE_MISSED_RUN_GRACE_MS = 5 * 60 * 1000;
+
+// Turn a schedules row into its API shape, with the next `count` run times
+function formatSchedule(row, count = 1) {
+  return {
+    id: row.id,
+    name: row.name,
+    cron: row.cron,
+    context: row.context_uri,
+    device: row.device,
+    strategy: row.strategy,
+    endTime: row.end_time,
+    trackLimit: row.track_limit,
+    enabled: !!row.enabled,
+    lastRun: row.last_run,
+    nextRuns: row.enabled ? scheduler.getNextRuns(row.cron, new Date(), count).map(date => date.toISOString()) : []
+  };
+}
 
-    if (!trackResult.success) {
-      console.error('Failed to add track to fresh playlist');
-      return res.status(500).json({ error: 'Failed to add track to fresh playlist' });
+// Validate schedule rule fields (JSON body or query) on top of an existing rule when updating
+// Returns { rule } or { error } (an HTTP 400 body)
+function parseScheduleRule(input, existing = null) {
+  const base = existing
+    ? {
+      name: existing.name,
+      cron: existing.cron,
+      contextUri: existing.context_uri,
+      device: existing.device,
+      strategy: existing.strategy,
+      endTime: existing.end_time,
+      trackLimit: existing.track_limit,
+      enabled: !!existing.enabled
     }
+    : { name: null, cron: null, contextUri: null, device: null, strategy: null, endTime: null, trackLimit: null, enabled: true };
+
+  const given = field => input[field] !== undefined;
+  const rule = {
+    name: given('name') ? input.name || null : base.name,
+    cron: given('cron') ? input.cron : base.cron,
+    contextUri: given('context') ? input.context : base.contextUri,
+    device: given('device') ? input.device || null : base.device,
+    strategy: given('strategy') ? input.strategy || null : base.strategy,
+    endTime: given('endTime') ? input.endTime || null : base.endTime,
+    trackLimit: given('trackLimit') ? (input.trackLimit ? Number(input.trackLimit) : null) : base.trackLimit,
+    enabled: given('enabled') ? String(input.enabled) !== 'false' : base.enabled
+  };
+
+  try {
+    scheduler.parseCron(rule.cron);
+  } catch (error) {
+    return { error: { error: 'Invalid cron expression', details: error.message, example: '0 9 * * mon-fri' } };
+  }
+
+  if (!rule.contextUri || !String(rule.contextUri).startsWith('spotify:')) {
+    return { error: { error: 'context must be a Spotify URI', example: 'spotify:playlist:37i9dQZF1DX5trt9i14X7j' } };
+  }
+
+  if (rule.strategy && !shuffleStrategies.isValidStrategy(rule.strategy)) {
+    return { error: { error: `Unknown shuffle strategy: ${rule.strategy}`, availableStrategies: shuffleStrategies.listStrategies() } };
+  }
+
+  if (rule.endTime && !scheduler.parseTimeOfDay(rule.endTime)) {
+    return { error: { error: 'endTime must be a time of day (HH:MM)' } };
+  }
+
+  if (rule.trackLimit !== null && !(Number.isInteger(rule.trackLimit) && rule.trackLimit > 0)) {
+    return { error: { error: 'trackLimit must be a positive integer' } };
+  }
+
+  return { rule };
+}
+
+// Start the session a schedule rule describes, through the same path as /api/shuffle/start
+async function runSchedule(user, row) {
+  const { spotifyClient, shuffleState } = user;
+  const label = `schedule ${row.id}${row.name ? ` (${row.name})` : ''} of user ${user.id}`;
+
+  if (!spotifyClient.isUserAuthenticated()) {
+    console.log(`Skipping ${label}: not authenticated`);
+    return;
+  }
 
-    console.log(`Added track: ${trackResult.trackInfo.name} by ${trackResult.trackInfo.artists}`);
+  const parsed = parseSessionOptions({ strategy: row.strategy || undefined, device: row.device || undefined });
+  if (parsed.error) {
+    console.error(`Skipping ${label}:`, parsed.error.error);
+    return;
+  }
+
+  const contextUri = await spotifyClient.normalizeContextUri(row.context_uri);
+  if (shuffleState.isManagingContext(contextUri)) {
+    console.log(`Skipping ${label}: already shuffling ${contextUri}`);
+    return;
+  }
 
-    // Store the initial track URI for queue filtering
-    shuffleState.setInitialTrack(trackResult.trackUri);
+  const limits = {
+    endsAt: row.end_time ? scheduler.getNextTimeOfDay(row.end_time).toISOString() : null,
+    trackLimit: row.track_limit || null
+  };
 
-    // Wait for API consistency
-    console.log('Waiting for playlist to sync...');
-    await new Promise(resolve => setTimeout(resolve, 3000));
+  console.log(`Running ${label}: ${contextUri}`);
+  const result = await withSessionLock(user, () => startShuffleSession(user, [{ contextUri, weight: 1 }], { ...parsed.options, limits }));
+  if (!result.success) {
+    console.error(`Failed to run ${label}:`, result.body);
+  }
+}
 
-    // Start playing the fresh playlist
-    const stsdPlaylistUri = `spotify:playlist:${stsdPlaylistId}`;
-    console.log('Starting playback of fresh STSD playlist...');
-    const playbackStarted = await spotifyClient.startPlaybackWithShuffle(stsdPlaylistUri, null, false);
+// Run the user's schedule rules that came due since they last ran (or were created)
+async function runDueSchedules(user) {
+  const { database } = user;
+  const now = new Date();
 
-    if (!playbackStarted) {
-      console.error('Failed to start fresh playlist playback');
-      return res.status(500).json({ error: 'Failed to start fresh playlist playback' });
+  for (const row of await database.getSchedules()) {
+    if (!row.enabled) {
+      continue;
     }
 
-    console.log('Fresh playlist playback started successfully!');
+    // SQLite's CURRENT_TIMESTAMP is UTC without a zone marker
+    const since = row.last_run ? new Date(row.last_run) : new Date(`${row.created_at.replace(' ', 'T')}Z`);
+    const [nextRun] = scheduler.getNextRuns(row.cron, since);
+    if (!nextRun || nextRun > now) {
+      continue;
+    }
 
-    // Add remaining tracks to queue
-    const remainingTracks = PLAYLIST_TARGET_SIZE - 1;
-    console.log(`Adding ${remainingTracks} additional tracks to queue...`);
+    await database.markScheduleRun(row.id, now.toISOString());
 
-    for (let i = 0; i < remainingTracks; i++) {
-      // Add delay before each queue addition
-      await new Promise(resolve => setTimeout(resolve, 1500));
+    if (now - nextRun > SCHEDULE_MISSED_RUN_GRACE_MS) {
+      console.log(`Schedule ${row.id} missed its run at ${nextRun.toISOString()}, waiting for the next one`);
+      continue;
+    }
 
-      try {
-        // Get tracks with the minimum play count for random selection
-        const leastPlayedTracks = await database.getLeastPlayedTracks(contextUri);
+    try {
+      await runSchedule(user, row);
+    } catch (error) {
+      console.error(`Failed to run schedule ${row.id}:`, error);
+    }
+  }
+}
 
-        if (leastPlayedTracks.length === 0) {
-          console.log('No more tracks available for queue');
-          break;
-        }
+// List the user's schedule rules with their next run
+app.get('/api/schedules', async (req, res) => {
+  const { database } = req.user;
+  try {
+    const rows = await database.getSchedules();
+    res.json({ schedules: rows.map(row => formatSchedule(row)) });
+  } catch (error) {
+    console.error('Failed to list schedules:', error);
+    sendError(res, 'Failed to list schedules', error);
+  }
+});
 
-        // Randomly select from tracks with the lowest play count
-        const selectedTrack = getRandomElement(leastPlayedTracks);
+// Preview when a cron expression would fire: /api/schedules/preview?cron=0 9 * * mon-fri&count=5
+app.get('/api/schedules/preview', (req, res) => {
+  const count = Math.min(parseInt(req.query.count) || 5, 100);
 
-        // Find the full track info
-        const fullTrackInfo = contextData.tracks.find(track => track.uri === selectedTrack.track_id);
-        if (!fullTrackInfo) {
-          console.log(`Could not find full track info for ${selectedTrack.track_id}`);
-          continue;
-        }
+  try {
+    const nextRuns = scheduler.getNextRuns(req.query.cron, new Date(), count);
+    res.json({ cron: req.query.cron, nextRuns: nextRuns.map(date => date.toISOString()) });
+  } catch (error) {
+    res.status(400).json({ error: 'Invalid cron expression', details: error.message, example: '0 9 * * mon-fri' });
+  }
+});
 
-        // Add to queue
-        await spotifyClient.addToQueue(selectedTrack.track_id);
+// Create a schedule rule
+// Fields (JSON body or query): cron, context, and optional name, device, strategy, endTime (HH:MM),
+// trackLimit, enabled
+app.post('/api/schedules', async (req, res) => {
+  const { database } = req.user;
+  try {
+    const parsed = parseScheduleRule({ ...req.query, ...req.body });
+    if (parsed.error) {
+      return res.status(400).json(parsed.error);
+    }
 
-        // Increment play count since we're queuing it (this marks it as recently added)
-        await database.incrementPlayCount(contextUri, selectedTrack.track_id);
+    const id = await database.addSchedule(parsed.rule);
+    console.log(`Created schedule ${id} for user ${req.user.id}: ${parsed.rule.cron} ${parsed.rule.contextUri}`);
 
-        console.log(`Added to queue (${i + 2}/${PLAYLIST_TARGET_SIZE}): ${fullTrackInfo.name} by ${fullTrackInfo.artists} (played ${selectedTrack.play_count} times, now ${selectedTrack.play_count + 1}) [randomly selected from ${leastPlayedTracks.length} least-played tracks]`);
+    res.status(201).json({ message: 'Schedule created', schedule: formatSchedule(await database.getSchedule(id)) });
+  } catch (error) {
+    console.error('Failed to create schedule:', error);
+    sendError(res, 'Failed to create schedule', error);
+  }
+});
 
-      } catch (error) {
-        console.error(`Failed to add track ${i + 2} to queue:`, error);
-        break;
-      }
+// Get a schedule rule with its next runs (?count=, default 5)
+app.get('/api/schedules/:id(\\d+)', async (req, res) => {
+  const { database } = req.user;
+  try {
+    const row = await database.getSchedule(parseInt(req.params.id));
+    if (!row) {
+      return res.status(404).json({ error: `Schedule not found: ${req.params.id}` });
     }
 
-    console.log('Queue population complete!');
+    res.json({ schedule: formatSchedule(row, Math.min(parseInt(req.query.count) || 5, 100)) });
+  } catch (error) {
+    console.error('Failed to get schedule:', error);
+    sendError(res, 'Failed to get schedule', error);
+  }
+});
 
-    res.json({
-      message: 'Shuffle started successfully',
-      context: {
-        uri: contextData.contextUri,
-        type: contextData.type,
-        id: contextData.id,
-        totalTracks: contextData.totalTracks,
-        alreadyActive: false
-      }
-    });
+// Change some fields of a schedule rule (same fields as creating one)
+app.patch('/api/schedules/:id(\\d+)', async (req, res) => {
+  const { database } = req.user;
+  try {
+    const id = parseInt(req.params.id);
+    const row = await database.getSchedule(id);
+    if (!row) {
+      return res.status(404).json({ error: `Schedule not found: ${req.params.id}` });
+    }
+
+    const parsed = parseScheduleRule({ ...req.query, ...req.body }, row);
+    if (parsed.error) {
+      return res.status(400).json(parsed.error);
+    }
 
+    await database.updateSchedule(id, parsed.rule);
+    res.json({ message: 'Schedule updated', schedule: formatSchedule(await database.getSchedule(id)) });
   } catch (error) {
-    console.error('Failed to start shuffle:', error);
-    res.status(500).json({ error: 'Failed to start shuffle', details: error.message });
+    console.error('Failed to update schedule:', error);
+    sendError(res, 'Failed to update schedule', error);
+  }
+});
+
+// Delete a schedule rule
+app.delete('/api/schedules/:id(\\d+)', async (req, res) => {
+  const { database } = req.user;
+  try {
+    if (!await database.deleteSchedule(parseInt(req.params.id))) {
+      return res.status(404).json({ error: `Schedule not found: ${req.params.id}` });
+    }
+
+    res.json({ message: 'Schedule deleted', id: parseInt(req.params.id) });
+  } catch (error) {
+    console.error('Failed to delete schedule:', error);
+    sendError(res, 'Failed to delete schedule', error);
   }
 });
 
 
 // Debug endpoint to check current playback
 app.get('/api/debug/current-playback', async (req, res) => {
+  const { spotifyClient } = req.user;
   try {
     if (!spotifyClient.isUserAuthenticated()) {
       return res.status(401).json({ error: 'Not authenticated with Spotify' });
@@ -298,32 +1646,27 @@ app.get('/api/debug/current-playback', async (req, res) => {
     });
   } catch (error) {
     console.error('Failed to get current playback:', error);
-    res.status(500).json({ error: 'Failed to get current playback', details: error.message });
+    sendError(res, 'Failed to get current playback', error);
   }
 });
 
 // Debug endpoint to test new scopes and library access
 app.get('/api/debug/library-access', async (req, res) => {
+  const { spotifyClient } = req.user;
   try {
     if (!spotifyClient.isUserAuthenticated()) {
       return res.status(401).json({ error: 'Not authenticated with Spotify' });
     }
 
-    await spotifyClient.ensureValidToken();
-    const accessToken = spotifyClient.accessToken;
-
     const results = {};
 
     // Test user's saved tracks
     try {
-      const savedTracksUrl = `https://api.spotify.com/v1/me/tracks?limit=10`;
-      const savedTracksResponse = await fetch(savedTracksUrl, {
-        headers: { 'Authorization': `Bearer ${accessToken}` }
-      });
+      const savedTracks = await probeSpotify(() => spotifyClient.request('/me/tracks', { query: { limit: 10 } }));
       results.savedTracks = {
-        status: savedTracksResponse.status,
-        success: savedTracksResponse.ok,
-        count: savedTracksResponse.ok ? (await savedTracksResponse.json()).items.length : 0
+        status: savedTracks.status,
+        success: savedTracks.ok,
+        count: savedTracks.ok ? savedTracks.data.items.length : 0
       };
     } catch (error) {
       results.savedTracks = { error: error.message };
@@ -331,14 +1674,11 @@ app.get('/api/debug/library-access', async (req, res) => {
 
     // Test user's saved albums
     try {
-      const savedAlbumsUrl = `https://api.spotify.com/v1/me/albums?limit=10`;
-      const savedAlbumsResponse = await fetch(savedAlbumsUrl, {
-        headers: { 'Authorization': `Bearer ${accessToken}` }
-      });
+      const savedAlbums = await probeSpotify(() => spotifyClient.request('/me/albums', { query: { limit: 10 } }));
       results.savedAlbums = {
-        status: savedAlbumsResponse.status,
-        success: savedAlbumsResponse.ok,
-        count: savedAlbumsResponse.ok ? (await savedAlbumsResponse.json()).items.length : 0
+        status: savedAlbums.status,
+        success: savedAlbums.ok,
+        count: savedAlbums.ok ? savedAlbums.data.items.length : 0
       };
     } catch (error) {
       results.savedAlbums = { error: error.message };
@@ -346,14 +1686,11 @@ app.get('/api/debug/library-access', async (req, res) => {
 
     // Test followed artists
     try {
-      const followedArtistsUrl = `https://api.spotify.com/v1/me/following?type=artist&limit=10`;
-      const followedArtistsResponse = await fetch(followedArtistsUrl, {
-        headers: { 'Authorization': `Bearer ${accessToken}` }
-      });
+      const followedArtists = await probeSpotify(() => spotifyClient.request('/me/following', { query: { type: 'artist', limit: 10 } }));
       results.followedArtists = {
-        status: followedArtistsResponse.status,
-        success: followedArtistsResponse.ok,
-        count: followedArtistsResponse.ok ? (await followedArtistsResponse.json()).artists.items.length : 0
+        status: followedArtists.status,
+        success: followedArtists.ok,
+        count: followedArtists.ok ? followedArtists.data.artists.items.length : 0
       };
     } catch (error) {
       results.followedArtists = { error: error.message };
@@ -361,14 +1698,11 @@ app.get('/api/debug/library-access', async (req, res) => {
 
     // Test recently played
     try {
-      const recentlyPlayedUrl = `https://api.spotify.com/v1/me/player/recently-played?limit=10`;
-      const recentlyPlayedResponse = await fetch(recentlyPlayedUrl, {
-        headers: { 'Authorization': `Bearer ${accessToken}` }
-      });
+      const recentlyPlayed = await probeSpotify(() => spotifyClient.request('/me/player/recently-played', { query: { limit: 10 } }));
       results.recentlyPlayed = {
-        status: recentlyPlayedResponse.status,
-        success: recentlyPlayedResponse.ok,
-        count: recentlyPlayedResponse.ok ? (await recentlyPlayedResponse.json()).items.length : 0
+        status: recentlyPlayed.status,
+        success: recentlyPlayed.ok,
+        count: recentlyPlayed.ok ? recentlyPlayed.data.items.length : 0
       };
     } catch (error) {
       results.recentlyPlayed = { error: error.message };
@@ -381,15 +1715,13 @@ app.get('/api/debug/library-access', async (req, res) => {
 
   } catch (error) {
     console.error('Debug: Failed to test library access:', error);
-    res.status(500).json({
-      error: 'Failed to test library access',
-      details: error.message
-    });
+    sendError(res, 'Failed to test library access', error);
   }
 });
 
 // Debug endpoint to try getting current context tracks manually
 app.get('/api/debug/context-tracks', async (req, res) => {
+  const { spotifyClient } = req.user;
   try {
     if (!spotifyClient.isUserAuthenticated()) {
       return res.status(401).json({ error: 'Not authenticated with Spotify' });
@@ -417,26 +1749,17 @@ app.get('/api/debug/context-tracks', async (req, res) => {
       });
     }
 
-    await spotifyClient.ensureValidToken();
-    const accessToken = spotifyClient.accessToken;
+    const tracksQuery = { limit: 50, offset: 0, fields: 'items(track(id,uri,name,artists(name),duration_ms)),total' };
 
     // First, try direct playlist access
     console.log(`Debug: Trying direct playlist access...`);
-    const directUrl = `https://api.spotify.com/v1/playlists/${id}/tracks?limit=50&offset=0&fields=items(track(id,uri,name,artists(name),duration_ms)),total`;
-
-    const directResponse = await fetch(directUrl, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/json'
-      }
-    });
+    const directResponse = await probeSpotify(() => spotifyClient.request(`/playlists/${id}/tracks`, { query: tracksQuery }));
 
     console.log(`Debug: Direct access response status: ${directResponse.status}`);
 
     if (directResponse.ok) {
       // Direct access worked - regular playlist
-      const data = await directResponse.json();
+      const data = directResponse.data;
       const tracks = data.items
         .filter(item => item.track && item.track.type === 'track')
         .map(item => ({
@@ -471,21 +1794,14 @@ app.get('/api/debug/context-tracks', async (req, res) => {
     let hasMore = true;
 
     while (hasMore) {
-      const userPlaylistsUrl = `https://api.spotify.com/v1/me/playlists?limit=${limit}&offset=${offset}`;
-      console.log(`Debug: Fetching batch from: ${userPlaylistsUrl}`);
-
-      const userPlaylistsResponse = await fetch(userPlaylistsUrl, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json'
-        }
-      });
+      console.log(`Debug: Fetching batch of user playlists (offset: ${offset})`);
+
+      const userPlaylistsResponse = await probeSpotify(() => spotifyClient.request('/me/playlists', { query: { limit, offset } }));
 
       console.log(`Debug: User playlists batch response status: ${userPlaylistsResponse.status}`);
 
       if (!userPlaylistsResponse.ok) {
-        const errorText = await userPlaylistsResponse.text();
+        const errorText = userPlaylistsResponse.data;
         console.log(`Debug: User playlists error: ${errorText}`);
         return res.json({
           success: false,
@@ -497,7 +1813,7 @@ app.get('/api/debug/context-tracks', async (req, res) => {
         });
       }
 
-      const batchData = await userPlaylistsResponse.json();
+      const batchData = userPlaylistsResponse.data;
       console.log(`Debug: Got ${batchData.items.length} playlists in this batch (offset: ${offset})`);
 
       allPlaylists.push(...batchData.items);
@@ -551,21 +1867,12 @@ app.get('/api/debug/context-tracks', async (req, res) => {
     console.log(`Debug: Playlist owner: ${targetPlaylist.owner?.display_name || 'unknown'}`);
     console.log(`Debug: Getting tracks for followed playlist...`);
 
-    const followedPlaylistUrl = `https://api.spotify.com/v1/playlists/${id}/tracks?limit=50&offset=0&fields=items(track(id,uri,name,artists(name),duration_ms)),total`;
-    console.log(`Debug: Fetching tracks from: ${followedPlaylistUrl}`);
-
-    const followedResponse = await fetch(followedPlaylistUrl, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/json'
-      }
-    });
+    const followedResponse = await probeSpotify(() => spotifyClient.request(`/playlists/${id}/tracks`, { query: tracksQuery }));
 
     console.log(`Debug: Followed playlist tracks response status: ${followedResponse.status}`);
 
     if (followedResponse.ok) {
-      const data = await followedResponse.json();
+      const data = followedResponse.data;
       const tracks = data.items
         .filter(item => item.track && item.track.type === 'track')
         .map(item => ({
@@ -587,7 +1894,7 @@ app.get('/api/debug/context-tracks', async (req, res) => {
         tracks: tracks
       });
     } else {
-      const errorText = await followedResponse.text();
+      const errorText = followedResponse.data;
       return res.json({
         success: false,
         method: 'followed_playlist_access_failed',
@@ -601,15 +1908,13 @@ app.get('/api/debug/context-tracks', async (req, res) => {
 
   } catch (error) {
     console.error('Debug: Failed to get context tracks:', error);
-    res.status(500).json({
-      error: 'Failed to get context tracks',
-      details: error.message
-    });
+    sendError(res, 'Failed to get context tracks', error);
   }
 });
 
 // Experimental debug endpoint for testing different approaches to generated playlists
 app.get('/api/debug/experimental', async (req, res) => {
+  const { spotifyClient } = req.user;
   try {
     if (!spotifyClient.isUserAuthenticated()) {
       return res.status(401).json({ error: 'Not authenticated with Spotify' });
@@ -634,17 +1939,12 @@ app.get('/api/debug/experimental', async (req, res) => {
       });
     }
 
-    await spotifyClient.ensureValidToken();
-    const accessToken = spotifyClient.accessToken;
-
     const experiments = {};
 
     // Experiment 1: Direct playlist access
     try {
-      const directUrl = `https://api.spotify.com/v1/playlists/${id}/tracks?limit=10`;
-      const directResponse = await fetch(directUrl, {
-        headers: { 'Authorization': `Bearer ${accessToken}` }
-      });
+      const directUrl = `${getApiBaseUrl()}/playlists/${id}/tracks?limit=10`;
+      const directResponse = await probeSpotify(() => spotifyClient.request(`/playlists/${id}/tracks`, { query: { limit: 10 } }));
       experiments.direct_access = {
         url: directUrl,
         status: directResponse.status,
@@ -656,10 +1956,8 @@ app.get('/api/debug/experimental', async (req, res) => {
 
     // Experiment 2: Spotify user approach
     try {
-      const spotifyUserUrl = `https://api.spotify.com/v1/users/spotify/playlists/${id}/tracks?limit=10`;
-      const spotifyUserResponse = await fetch(spotifyUserUrl, {
-        headers: { 'Authorization': `Bearer ${accessToken}` }
-      });
+      const spotifyUserUrl = `${getApiBaseUrl()}/users/spotify/playlists/${id}/tracks?limit=10`;
+      const spotifyUserResponse = await probeSpotify(() => spotifyClient.request(`/users/spotify/playlists/${id}/tracks`, { query: { limit: 10 } }));
       experiments.spotify_user_access = {
         url: spotifyUserUrl,
         status: spotifyUserResponse.status,
@@ -675,10 +1973,8 @@ app.get('/api/debug/experimental', async (req, res) => {
 
     for (const userId of userIds) {
       try {
-        const userUrl = `https://api.spotify.com/v1/users/${userId}/playlists/${id}/tracks?limit=5`;
-        const userResponse = await fetch(userUrl, {
-          headers: { 'Authorization': `Bearer ${accessToken}` }
-        });
+        const userUrl = `${getApiBaseUrl()}/users/${userId}/playlists/${id}/tracks?limit=5`;
+        const userResponse = await probeSpotify(() => spotifyClient.request(`/users/${userId}/playlists/${id}/tracks`, { query: { limit: 5 } }));
         experiments.different_user_ids[userId] = {
           url: userUrl,
           status: userResponse.status,
@@ -691,17 +1987,15 @@ app.get('/api/debug/experimental', async (req, res) => {
 
     // Experiment 4: Try getting playlist info (not tracks)
     try {
-      const playlistInfoUrl = `https://api.spotify.com/v1/playlists/${id}`;
-      const playlistInfoResponse = await fetch(playlistInfoUrl, {
-        headers: { 'Authorization': `Bearer ${accessToken}` }
-      });
+      const playlistInfoUrl = `${getApiBaseUrl()}/playlists/${id}`;
+      const playlistInfoResponse = await probeSpotify(() => spotifyClient.request(`/playlists/${id}`));
       experiments.playlist_info = {
         url: playlistInfoUrl,
         status: playlistInfoResponse.status,
         success: playlistInfoResponse.ok
       };
       if (playlistInfoResponse.ok) {
-        const data = await playlistInfoResponse.json();
+        const data = playlistInfoResponse.data;
         experiments.playlist_info.owner = data.owner?.id;
         experiments.playlist_info.name = data.name;
       }
@@ -718,15 +2012,13 @@ app.get('/api/debug/experimental', async (req, res) => {
 
   } catch (error) {
     console.error('Debug: Failed experimental approaches:', error);
-    res.status(500).json({
-      error: 'Failed experimental approaches',
-      details: error.message
-    });
+    sendError(res, 'Failed experimental approaches', error);
   }
 });
 
 // Debug endpoint to test Client Credentials Flow access to generated playlists
 app.get('/api/debug/client-credentials', async (req, res) => {
+  const { spotifyClient } = req.user;
   try {
     // Get current playback first (requires user auth)
     if (!spotifyClient.isUserAuthenticated()) {
@@ -757,10 +2049,10 @@ app.get('/api/debug/client-credentials', async (req, res) => {
 
     // Experiment 1: Direct playlist access with Client Credentials
     try {
-      const directUrl = `https://api.spotify.com/v1/playlists/${id}`;
+      const directUrl = `${getApiBaseUrl()}/playlists/${id}`;
       console.log(`Debug: Client Credentials - trying playlist info: ${directUrl}`);
 
-      const result = await spotifyClient.fetchWithClientCredentials(directUrl);
+      const result = await probeSpotify(() => spotifyClient.fetchWithClientCredentials(directUrl));
       console.log(`Debug: Playlist info response - Status: ${result.status}, Success: ${result.ok}`);
 
       if (result.ok) {
@@ -787,10 +2079,10 @@ app.get('/api/debug/client-credentials', async (req, res) => {
 
     // Experiment 2: Playlist tracks with Client Credentials
     try {
-      const tracksUrl = `https://api.spotify.com/v1/playlists/${id}/tracks?limit=10`;
+      const tracksUrl = `${getApiBaseUrl()}/playlists/${id}/tracks?limit=10`;
       console.log(`Debug: Client Credentials - trying playlist tracks: ${tracksUrl}`);
 
-      const result = await spotifyClient.fetchWithClientCredentials(tracksUrl);
+      const result = await probeSpotify(() => spotifyClient.fetchWithClientCredentials(tracksUrl));
       console.log(`Debug: Playlist tracks response - Status: ${result.status}, Success: ${result.ok}`);
 
       if (result.ok) {
@@ -818,10 +2110,10 @@ app.get('/api/debug/client-credentials', async (req, res) => {
     if (experiments.playlist_info?.success && experiments.playlist_info.data.owner) {
       try {
         const userId = experiments.playlist_info.data.owner;
-        const userPlaylistsUrl = `https://api.spotify.com/v1/users/${userId}/playlists?limit=50`;
+        const userPlaylistsUrl = `${getApiBaseUrl()}/users/${userId}/playlists?limit=50`;
         console.log(`Debug: Client Credentials - trying user playlists: ${userPlaylistsUrl}`);
 
-        const result = await spotifyClient.fetchWithClientCredentials(userPlaylistsUrl);
+        const result = await probeSpotify(() => spotifyClient.fetchWithClientCredentials(userPlaylistsUrl));
         console.log(`Debug: User playlists response - Status: ${result.status}, Success: ${result.ok}`);
 
         if (result.ok) {
@@ -860,15 +2152,13 @@ app.get('/api/debug/client-credentials', async (req, res) => {
 
   } catch (error) {
     console.error('Debug: Failed Client Credentials experiments:', error);
-    res.status(500).json({
-      error: 'Failed Client Credentials experiments',
-      details: error.message
-    });
+    sendError(res, 'Failed Client Credentials experiments', error);
   }
 });
 
 // Debug endpoint to test with manually provided implicit grant token
 app.get('/api/debug/implicit-token-test', async (req, res) => {
+  const { spotifyClient } = req.user;
   try {
     const { token } = req.query;
 
@@ -908,23 +2198,10 @@ app.get('/api/debug/implicit-token-test', async (req, res) => {
 
     // Test playlist info with implicit grant token
     try {
-      const directUrl = `https://api.spotify.com/v1/playlists/${id}`;
+      const directUrl = `${getApiBaseUrl()}/playlists/${id}`;
       console.log(`Debug: Implicit token - trying playlist info: ${directUrl}`);
 
-      const response = await fetch(directUrl, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-          'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-        }
-      });
-
-      const result = {
-        status: response.status,
-        ok: response.ok,
-        data: response.ok ? await response.json() : await response.text()
-      };
+      const result = await probeSpotify(() => spotifyRequest(directUrl, { token }));
 
       console.log(`Debug: Implicit token playlist info - Status: ${result.status}, Success: ${result.ok}`);
 
@@ -952,23 +2229,10 @@ app.get('/api/debug/implicit-token-test', async (req, res) => {
 
     // Test playlist tracks with implicit grant token
     try {
-      const tracksUrl = `https://api.spotify.com/v1/playlists/${id}/tracks?limit=10`;
+      const tracksUrl = `${getApiBaseUrl()}/playlists/${id}/tracks?limit=10`;
       console.log(`Debug: Implicit token - trying playlist tracks: ${tracksUrl}`);
 
-      const response = await fetch(tracksUrl, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-          'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-        }
-      });
-
-      const result = {
-        status: response.status,
-        ok: response.ok,
-        data: response.ok ? await response.json() : await response.text()
-      };
+      const result = await probeSpotify(() => spotifyRequest(tracksUrl, { token }));
 
       console.log(`Debug: Implicit token playlist tracks - Status: ${result.status}, Success: ${result.ok}`);
 
@@ -1002,10 +2266,7 @@ app.get('/api/debug/implicit-token-test', async (req, res) => {
 
   } catch (error) {
     console.error('Debug: Failed implicit token test:', error);
-    res.status(500).json({
-      error: 'Failed implicit token test',
-      details: error.message
-    });
+    sendError(res, 'Failed implicit token test', error);
   }
 });
 
@@ -1014,6 +2275,7 @@ let pkceState = {}; // Store PKCE state temporarily
 
 // Start PKCE flow
 app.get('/api/debug/pkce-start', (req, res) => {
+  const { spotifyClient } = req.user;
   try {
     const { codeVerifier, codeChallenge } = spotifyClient.generatePKCE();
     const state = Math.random().toString(36).substring(7);
@@ -1037,12 +2299,13 @@ app.get('/api/debug/pkce-start', (req, res) => {
     res.json(response);
   } catch (error) {
     console.error('Failed to start PKCE flow:', error);
-    res.status(500).json({ error: 'Failed to start PKCE flow', details: error.message });
+    sendError(res, 'Failed to start PKCE flow', error);
   }
 });
 
 // Handle PKCE callback and test generated playlist access
 app.get('/api/debug/pkce-callback', async (req, res) => {
+  const { spotifyClient } = req.user;
   try {
     const { code, state } = req.query;
 
@@ -1110,10 +2373,10 @@ app.get('/api/debug/pkce-callback', async (req, res) => {
 
     // Test playlist info with PKCE token
     try {
-      const directUrl = `https://api.spotify.com/v1/playlists/${id}`;
+      const directUrl = `${getApiBaseUrl()}/playlists/${id}`;
       console.log(`Debug: PKCE token - trying playlist info: ${directUrl}`);
 
-      const result = await spotifyClient.testPKCEToken(tokenResult.accessToken, directUrl);
+      const result = await probeSpotify(() => spotifyClient.testPKCEToken(tokenResult.accessToken, directUrl));
       console.log(`Debug: PKCE token playlist info - Status: ${result.status}, Success: ${result.ok}`);
 
       if (result.ok) {
@@ -1140,10 +2403,10 @@ app.get('/api/debug/pkce-callback', async (req, res) => {
 
     // Test playlist tracks with PKCE token
     try {
-      const tracksUrl = `https://api.spotify.com/v1/playlists/${id}/tracks?limit=10`;
+      const tracksUrl = `${getApiBaseUrl()}/playlists/${id}/tracks?limit=10`;
       console.log(`Debug: PKCE token - trying playlist tracks: ${tracksUrl}`);
 
-      const result = await spotifyClient.testPKCEToken(tokenResult.accessToken, tracksUrl);
+      const result = await probeSpotify(() => spotifyClient.testPKCEToken(tokenResult.accessToken, tracksUrl));
       console.log(`Debug: PKCE token playlist tracks - Status: ${result.status}, Success: ${result.ok}`);
 
       if (result.ok) {
@@ -1190,25 +2453,24 @@ app.get('/api/debug/pkce-callback', async (req, res) => {
 
   } catch (error) {
     console.error('Debug: Failed PKCE callback test:', error);
-    res.status(500).json({
-      error: 'Failed PKCE callback test',
-      details: error.message
-    });
+    sendError(res, 'Failed PKCE callback test', error);
   }
 });
 
-// Background queue monitoring - runs every 20 seconds
-const queueMonitoringInterval = setInterval(async () => {
-  console.log('=== Queue monitoring check started ===');
+// Background queue monitoring of one user's session
+// Returns the playback snapshot it worked from (null if there was none), for scheduling the next check
+async function monitorUser(user) {
+  const { spotifyClient, shuffleState, playbackTracker } = user;
+  console.log(`=== Queue monitoring check started (user ${user.id}) ===`);
 
   if (!shuffleState.isActive) {
     console.log('Queue monitoring: Shuffle state not active, skipping');
-    return;
+    return null;
   }
 
   if (!spotifyClient.isUserAuthenticated()) {
     console.log('Queue monitoring: Not authenticated, skipping');
-    return;
+    return null;
   }
 
   try {
@@ -1216,10 +2478,15 @@ const queueMonitoringInterval = setInterval(async () => {
     const currentPlayback = await spotifyClient.getCurrentPlayback();
 
     if (!currentPlayback) {
+      await updateSessionState(user, null);
       console.log('Queue monitoring: No current playback, skipping');
-      return;
+      return currentPlayback;
     }
 
+    // Count plays of tracks we queued once they've actually been heard
+    const playbackEvents = playbackTracker.observe(currentPlayback, PLAY_CONFIRMATION);
+    await handlePlaybackEvents(user, playbackEvents);
+
     console.log(`Queue monitoring: Current context: ${currentPlayback?.context?.uri}`);
     console.log(`Queue monitoring: Managed context: ${shuffleState.currentContext}`);
 
@@ -1230,52 +2497,74 @@ const queueMonitoringInterval = setInterval(async () => {
     console.log(`Queue monitoring: Is playing our context: ${isPlayingOurContext}`);
 
     if (!isPlayingOurContext) {
-      console.log('Queue monitoring: Not playing our context, skipping');
-      return;
+      await updateSessionState(user, currentPlayback);
+      console.log(`Queue monitoring: Not playing our context, session ${shuffleState.state}`);
+      return currentPlayback;
+    }
+
+    // In follow mode the session moves along when the user moves playback to another device
+    if (shuffleState.deviceMode === 'follow' && currentPlayback.device?.id && currentPlayback.device.id !== shuffleState.getDeviceId()) {
+      console.log(`Queue monitoring: Playback moved to ${currentPlayback.device.name}, following`);
+      shuffleState.setDevice(currentPlayback.device.id);
+      await saveSessionState(user);
+    }
+
+    // Once a scheduled end (e.g. pass completed) is due, stop or switch instead of refilling
+    const scheduledEnd = shuffleState.getScheduledEnd();
+    if (scheduledEnd) {
+      if (!isScheduledEndDue(scheduledEnd, currentPlayback)) {
+        console.log(`Queue monitoring: Waiting for ${scheduledEnd.trackUri} to finish before session ${scheduledEnd.action}`);
+      } else {
+        await runScheduledEnd(user, scheduledEnd);
+      }
+      return currentPlayback;
+    }
+
+    await checkPassCompletion(user, currentPlayback);
+    await checkSessionLimits(user, currentPlayback);
+    if (shuffleState.getScheduledEnd()) {
+      return currentPlayback;
     }
 
     console.log('=== Queue monitoring: ACTIVE - checking queue state ===');
 
+    // Pick up tracks added to / removed from the source contexts since the last sync
+    if (CONTEXT_RESYNC_MINUTES > 0 && Date.now() - shuffleState.lastSyncTime >= CONTEXT_RESYNC_MINUTES * 60 * 1000) {
+      console.log('Queue monitoring: Re-syncing source contexts...');
+      await resyncSessionSources(user);
+    }
+
+    if (shuffleState.getQueueMode() === 'playlist') {
+      await maintainRollingPlaylist(user, currentPlayback);
+      return currentPlayback;
+    }
+
     // Get current queue from Spotify
     const queueData = await spotifyClient.getQueue();
     if (!queueData) {
       console.log('Could not retrieve queue data');
-      return;
+      return currentPlayback;
     }
 
-    // Extract track URIs from the queue
-    const currentQueueUris = queueData.queue.map(item => item.uri);
-
-    // Filter out the initial track duplicates from the queue (Spotify API bug)
-    const initialTrackUri = shuffleState.getInitialTrack();
-    const filteredQueue = [];
-    let duplicatesRemoved = 0;
+    // Split the queue into the tracks STSD queued (per the session's ledger) and the user's
+    // Matched against the track the queue listing came with: if playback moved on since it was read,
+    // the track that just started is in neither and would otherwise look dropped
+    const currentTrackUri = queueData.currently_playing?.uri || currentPlayback.item?.uri;
+    const queueLedger = shuffleState.queueLedger.reconcile(currentTrackUri, queueData.queue.map(item => item.uri));
+    const ownedUris = new Set(shuffleState.queueLedger.getOutstanding().map(entry => entry.uri));
 
-    if (initialTrackUri) {
-      for (const item of queueData.queue) {
-        if (item.uri === initialTrackUri) {
-          // Filter out ALL occurrences of the initial track since it's already in the playlist
-          const artists = item.artists ? item.artists.map(a => a.name).join(', ') : 'Unknown Artist';
-          console.log(`Filtering out initial track duplicate: ${item.name} by ${artists}`);
-          duplicatesRemoved++;
-        } else {
-          // Keep all other tracks
-          filteredQueue.push(item);
-        }
-      }
-    } else {
-      // No initial track to filter, keep all items
-      filteredQueue.push(...queueData.queue);
+    for (const entry of queueLedger.dropped) {
+      console.log(`Queued track left the queue without playing: ${entry.uri}`);
+    }
+    if (queueLedger.changed) {
+      await saveSessionState(user);
     }
-
-    const filteredQueueUris = filteredQueue.map(item => item.uri);
-    console.log(`Raw queue: ${currentQueueUris.length} items, Filtered queue: ${filteredQueueUris.length} items (removed ${duplicatesRemoved} initial track duplicates)`);
 
     // Print detailed queue contents for debugging
-    console.log(`\n=== DETAILED QUEUE CONTENTS (${currentQueueUris.length} raw items, ${filteredQueueUris.length} unique items) ===`);
+    console.log(`\n=== DETAILED QUEUE CONTENTS (${queueData.queue.length} items, ${queueLedger.inQueue.length} queued by STSD, ${queueLedger.userQueued} by the user) ===`);
     queueData.queue.forEach((item, index) => {
       const artists = item.artists ? item.artists.map(a => a.name).join(', ') : 'Unknown Artist';
-      console.log(`${index + 1}. ${item.name} by ${artists}`);
+      console.log(`${index + 1}. ${item.name} by ${artists}${ownedUris.has(item.uri) ? ' [STSD]' : ''}`);
       console.log(`   URI: ${item.uri}`);
       console.log(`   Type: ${item.type}, Duration: ${item.duration_ms}ms`);
       if (item.album) {
@@ -1285,76 +2574,151 @@ const queueMonitoringInterval = setInterval(async () => {
     });
     console.log('=== END QUEUE CONTENTS ===\n');
 
-    // Get recently added tracks from database (these are likely our managed tracks)
-    const recentlyAdded = await database.getRecentlyAddedTracks(shuffleState.currentContext, 10);
-    const recentlyAddedUris = recentlyAdded.map(track => track.track_id);
+    await releaseDroppedPicks(user);
 
-    console.log(`Current queue has ${filteredQueueUris.length} unique tracks (${currentQueueUris.length} raw), recently added ${recentlyAddedUris.length} tracks`);
+    console.log(`Queue depth: ${queueLedger.queueDepth} tracks (${(shuffleState.queueLedger.getUpcomingMs() / 60000).toFixed(1)} min) queued by STSD`);
 
-    // Check which of our recently added tracks are still in the queue (use filtered queue)
-    const stillInQueue = recentlyAddedUris.filter(uri => filteredQueueUris.includes(uri));
+    // Anything else queued was queued by the user: leave their queue alone until it has played out
+    const userQueuedTracks = queueLedger.userQueued;
+
+    await updateSessionState(user, currentPlayback, userQueuedTracks);
+    if (shuffleState.state !== 'ACTIVE') {
+      console.log(`Queue monitoring: Session ${shuffleState.state}, not refilling`);
+      return currentPlayback;
+    }
 
-    console.log(`${stillInQueue.length}/${recentlyAddedUris.length} recently added tracks still in queue`);
+    // Add more tracks while less than the queue target is lined up
+    await fillToQueueTarget(user, getRemainingMs(currentPlayback));
 
-    // Add more tracks if we have fewer than target in queue
-    const targetQueueSize = PLAYLIST_TARGET_SIZE; // Keep full target size in queue (playlist track is static)
-    const tracksNeeded = targetQueueSize - stillInQueue.length;
 
-    if (tracksNeeded > 0) {
-      console.log(`Adding ${tracksNeeded} tracks to maintain queue depth`);
+    return currentPlayback;
+  } catch (error) {
+    if (error instanceof RateLimited) {
+      throw error; // runMonitor waits it out
+    }
+    console.error('Error during queue monitoring:', error);
+    return null;
+  }
+}
 
-      for (let i = 0; i < tracksNeeded; i++) {
-        try {
-          // Get tracks with the minimum play count for random selection
-          const leastPlayedTracks = await database.getLeastPlayedTracks(shuffleState.currentContext);
+// When to check a user's session next, from what the last check saw:
+//   no session        - MONITOR_MAX_INTERVAL (starting or resuming a session reschedules right away)
+//   paused / idle     - backs off, doubling from MONITOR_INTERVAL up to MONITOR_MAX_INTERVAL
+//   track ending soon - just after it ends, so confirmation and refill happen at the boundary
+//   playing           - MONITOR_INTERVAL
+function getNextMonitorCheck(user, currentPlayback, previous) {
+  const { spotifyClient, shuffleState } = user;
 
-          if (leastPlayedTracks.length === 0) {
-            console.log('No more tracks available for queue');
-            break;
-          }
+  if (!shuffleState.isActive || !spotifyClient.isUserAuthenticated()) {
+    return { delayMs: MONITOR_MAX_INTERVAL_MS, reason: 'no active session', backoff: false };
+  }
 
-          // Randomly select from tracks with the lowest play count
-          const selectedTrack = getRandomElement(leastPlayedTracks);
+  if (!currentPlayback?.is_playing || !currentPlayback.item) {
+    const delayMs = previous?.backoff ? Math.min(previous.delayMs * 2, MONITOR_MAX_INTERVAL_MS) : MONITOR_INTERVAL_MS;
+    return { delayMs, reason: currentPlayback ? 'paused' : 'nothing playing', backoff: true };
+  }
 
-          // Find the full track info
-          const fullTrackInfo = shuffleState.getAllTracks().find(track => track.uri === selectedTrack.track_id);
-          if (!fullTrackInfo) {
-            console.log(`Could not find full track info for ${selectedTrack.track_id}`);
-            continue;
-          }
+  const remainingMs = currentPlayback.item.duration_ms - (currentPlayback.progress_ms || 0);
+  if (remainingMs < MONITOR_INTERVAL_MS) {
+    return { delayMs: Math.max(remainingMs + TRACK_END_MARGIN_MS, MONITOR_MIN_INTERVAL_MS), reason: 'track ending', backoff: false };
+  }
 
-          // Add to queue
-          await spotifyClient.addToQueue(selectedTrack.track_id);
+  return { delayMs: MONITOR_INTERVAL_MS, reason: 'playing', backoff: false };
+}
 
-          // Increment play count (this marks it as recently added)
-          await database.incrementPlayCount(shuffleState.currentContext, selectedTrack.track_id);
+// Next monitor check per user: user id -> { timer, delayMs, reason, backoff, at }
+const monitorSchedules = new Map();
+
+// Per-user chain of monitor checks and session starts/stops: user id -> promise of the last one
+// Running them one at a time keeps a check from seeing (and refilling) a half-started session.
+const sessionLocks = new Map();
+
+// Run task once everything already queued for the user has settled
+function withSessionLock(user, task) {
+  const run = (sessionLocks.get(user.id) || Promise.resolve()).then(task);
+  const settled = run.catch(() => {});
+  sessionLocks.set(user.id, settled);
+  settled.then(() => {
+    if (sessionLocks.get(user.id) === settled) {
+      sessionLocks.delete(user.id);
+    }
+  });
+  return run;
+}
 
-          console.log(`Added to queue: ${fullTrackInfo.name} by ${fullTrackInfo.artists} (played ${selectedTrack.play_count} times, now ${selectedTrack.play_count + 1}) [randomly selected from ${leastPlayedTracks.length} least-played tracks]`);
+// (Re)schedule a user's next monitor check, replacing the one already planned
+function scheduleMonitor(user, delayMs, reason, backoff = false) {
+  const previous = monitorSchedules.get(user.id);
+  if (previous) {
+    clearTimeout(previous.timer);
+  }
 
-          // Delay between additions
-          if (i < tracksNeeded - 1) {
-            await new Promise(resolve => setTimeout(resolve, 1000));
-          }
+  const timer = setTimeout(() => runMonitor(user), delayMs);
+  monitorSchedules.set(user.id, { timer, delayMs, reason, backoff, at: new Date(Date.now() + delayMs).toISOString() });
+}
 
-        } catch (error) {
-          console.error(`Failed to add track ${i + 1} during monitoring:`, error);
-          break;
-        }
-      }
+// Run one monitor check for a user and plan the next one from what it saw
+async function runMonitor(user) {
+  const previous = monitorSchedules.get(user.id);
+  let currentPlayback;
+  try {
+    currentPlayback = await withSessionLock(user, () => monitorUser(user));
+  } catch (error) {
+    // Rate limited even after the request layer's retries: skip checks until Spotify allows them again
+    if (error instanceof RateLimited) {
+      const delayMs = Math.max(error.retryAfterMs, MONITOR_MIN_INTERVAL_MS);
+      console.log(`Queue monitoring: rate limited, next check for user ${user.id} in ${Math.round(delayMs / 1000)}s`);
+      scheduleMonitor(user, delayMs, 'rate limited');
+      return;
     }
 
-  } catch (error) {
-    console.error('Error during queue monitoring:', error);
+    // Anything else: back off as if nothing were playing
+    console.error(`Queue monitoring failed for user ${user.id}:`, error);
+    currentPlayback = null;
+  }
+  const next = getNextMonitorCheck(user, currentPlayback, previous);
+
+  console.log(`Queue monitoring: next check for user ${user.id} in ${Math.round(next.delayMs / 1000)}s (${next.reason})`);
+  scheduleMonitor(user, next.delayMs, next.reason, next.backoff);
+}
+
+// Get a user's monitor timing for /api/status
+function getMonitorSchedule(user) {
+  const next = monitorSchedules.get(user.id);
+  return {
+    intervalMs: MONITOR_INTERVAL_MS,
+    minIntervalMs: MONITOR_MIN_INTERVAL_MS,
+    maxIntervalMs: MONITOR_MAX_INTERVAL_MS,
+    next: next ? { at: next.at, delayMs: next.delayMs, reason: next.reason } : null
+  };
+}
+
+// Schedule rules - checked every 30 seconds so each fires within its minute
+const scheduleCheckInterval = setInterval(async () => {
+  for (const user of users.list()) {
+    try {
+      await runDueSchedules(user);
+    } catch (error) {
+      console.error(`Error checking schedules of user ${user.id}:`, error);
+    }
   }
-}, 20000);
+}, 30000);
 
 // Initialize database and start server
-database.initialize()
-  .then(() => {
+sharedDatabase.initialize()
+  .then(async () => {
     app.listen(PORT, () => {
       console.log(`STSD running on port ${PORT}`);
       console.log(`Health check: http://localhost:${PORT}/health`);
     });
+
+    // Pick up every user with stored tokens and their saved sessions
+    for (const user of await users.loadAll()) {
+      scheduleMonitor(user, MONITOR_INTERVAL_MS, 'startup');
+      withSessionLock(user, () => resumeSavedSession(user)).catch((error) => {
+        console.error(`Failed to resume saved session of user ${user.id}:`, error);
+      });
+    }
   })
   .catch((error) => {
     console.error('Failed to initialize database:', error);
@@ -0,0 +1,893 @@
+// Offline stand-in for the Spotify Web API and accounts service, for trying out STSD and running the
+// start -> monitor -> refill flow without a Premium account or a live device.
+//
+// Run it with `npm run mock-spotify` and point STSD at it:
+//   SPOTIFY_API_URL=http://127.0.0.1:4000/v1 SPOTIFY_ACCOUNTS_URL=http://127.0.0.1:4000
+//
+// It simulates a generated catalog (artists, albums, tracks, playlists, Liked Songs), two devices,
+// the player with its queue and a playback clock, and the token endpoints (/authorize consents at
+// once and redirects back with a code). Known Spotify quirks are reproduced:
+// - /me/player/queue pads the queue by repeating the context, so a freshly started one-track [STSD]
+//   playlist shows its initial track over and over after the queued tracks
+// - a newly created playlist answers 404 to play requests until it has "propagated"
+// - pausing when nothing is playing fails with 403
+// - the queue survives starting another context
+// - /me/player/currently-playing leaves out the device (only /me/player has it)
+//
+// Control endpoints (GET, like STSD's own) stand in for what the user does in the Spotify app:
+// /mock/state, /mock/play?context=<uri>, /mock/transfer?device=<id>, /mock/pause, /mock/next, /mock/advance?ms=<n>,
+// /mock/speed?value=<n>, /mock/fail?status=<code>&times=<n>&path=<prefix>&retryAfter=<s>, /mock/reset
+
+const express = require('express');
+const crypto = require('crypto');
+
+const DEFAULT_PORT = 4000;
+const TOKEN_LIFETIME_SECONDS = 3600;
+// The queue endpoint lists at most this many upcoming items, like Spotify's
+const QUEUE_LENGTH = 20;
+
+const MOCK_USER = { id: 'mock-user', display_name: 'Mock User', email: 'mock@example.com', country: 'US' };
+const DEVICES = [
+  { id: 'mock-desktop', name: 'Mock Desktop', type: 'Computer' },
+  { id: 'mock-phone', name: 'Mock Phone', type: 'Smartphone' }
+];
+
+// The generated catalog: ARTISTS x ALBUMS_PER_ARTIST albums of TRACKS_PER_ALBUM tracks
+const ARTISTS = ['Alpha Band', 'Beta Quartet', 'Gamma Trio'];
+const ALBUMS_PER_ARTIST = 2;
+const TRACKS_PER_ALBUM = 6;
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// Build artists, albums and tracks with stable ids and varied durations (1:30 to 4:55)
+function createCatalog() {
+  const artists = new Map();
+  const albums = new Map();
+  const tracks = new Map();
+  let trackNumber = 0;
+
+  ARTISTS.forEach((name, artistIndex) => {
+    const artist = { id: `mockartist${pad(artistIndex + 1)}`, name, albumIds: [] };
+    artists.set(artist.id, artist);
+
+    for (let a = 0; a < ALBUMS_PER_ARTIST; a++) {
+      const album = {
+        id: `mockalbum${pad(artistIndex + 1)}${pad(a + 1)}`,
+        name: `${name} Vol. ${a + 1}`,
+        album_group: a === 0 ? 'album' : 'single',
+        release_date: `20${pad(10 + a)}-01-01`,
+        artistId: artist.id,
+        trackIds: []
+      };
+      artist.albumIds.push(album.id);
+      albums.set(album.id, album);
+
+      for (let t = 0; t < TRACKS_PER_ALBUM; t++) {
+        trackNumber++;
+        const track = {
+          id: `mocktrack${pad(trackNumber)}`,
+          name: `Song ${trackNumber}`,
+          duration_ms: 90000 + (trackNumber * 37000) % 205000,
+          albumId: album.id,
+          artistId: artist.id
+        };
+        album.trackIds.push(track.id);
+        tracks.set(track.id, track);
+      }
+    }
+  });
+
+  return { artists, albums, tracks };
+}
+
+// Mutable Spotify state: playlists, Liked Songs, tokens and the player
+class MockSpotify {
+  constructor(options = {}) {
+    this.options = options;
+    this.reset();
+  }
+
+  // Back to the initial state: seeded playlists, no tokens, nothing playing
+  reset() {
+    const { speed = 1, playlistPropagationMs = 1000 } = this.options;
+    this.speed = speed; // Playback clock speed (2 = tracks play twice as fast)
+    this.playlistPropagationMs = playlistPropagationMs;
+    this.catalog = createCatalog();
+
+    const trackUris = [...this.catalog.tracks.keys()].map(id => `spotify:track:${id}`);
+    this.playlists = new Map();
+    this.createPlaylist('Mock Mix', 'Every mock track', trackUris, 'mockmix', true);
+    this.createPlaylist('Mock Short', 'A few mock tracks', trackUris.filter((uri, i) => i % 4 === 0), 'mockshort', true);
+    this.likedUris = trackUris.slice(0, 10);
+
+    this.codes = new Set();
+    this.accessTokens = new Map(); // token -> expires at (ms)
+    this.refreshTokens = new Set();
+    this.failures = []; // Injected failures: { status, times, path, retryAfter }
+
+    this.player = {
+      deviceId: null,
+      isPlaying: false,
+      context: null, // { uri, trackUris }
+      contextIndex: -1,
+      itemUri: null,
+      progressMs: 0,
+      updatedAt: Date.now(),
+      shuffle: false,
+      queue: [] // User queue (track URIs), played before the rest of the context
+    };
+  }
+
+  // Playlists
+
+  createPlaylist(name, description, trackUris = [], id = null, seeded = false) {
+    const playlist = {
+      id: id || crypto.randomBytes(11).toString('hex'),
+      name,
+      description,
+      ownerId: MOCK_USER.id,
+      followed: true,
+      trackUris: [...trackUris],
+      createdAt: seeded ? 0 : Date.now()
+    };
+    this.playlists.set(playlist.id, playlist);
+    return playlist;
+  }
+
+  // Newly created playlists can't be played until they have propagated
+  isPropagated(playlist) {
+    return Date.now() - playlist.createdAt >= this.playlistPropagationMs;
+  }
+
+  // Tokens
+
+  issueCode() {
+    const code = `mock-code-${crypto.randomBytes(8).toString('hex')}`;
+    this.codes.add(code);
+    return code;
+  }
+
+  issueTokens(withRefreshToken = true) {
+    const accessToken = `mock-access-${crypto.randomBytes(12).toString('hex')}`;
+    this.accessTokens.set(accessToken, Date.now() + TOKEN_LIFETIME_SECONDS * 1000);
+
+    const tokens = { access_token: accessToken, token_type: 'Bearer', expires_in: TOKEN_LIFETIME_SECONDS, scope: '' };
+    if (withRefreshToken) {
+      tokens.refresh_token = `mock-refresh-${crypto.randomBytes(12).toString('hex')}`;
+      this.refreshTokens.add(tokens.refresh_token);
+    }
+    return tokens;
+  }
+
+  // Check a bearer token; returns null if valid, otherwise the error message
+  checkAccessToken(token) {
+    const expiresAt = this.accessTokens.get(token);
+    if (!expiresAt) {
+      return 'Invalid access token';
+    }
+    return Date.now() < expiresAt ? null : 'The access token expired';
+  }
+
+  // Contexts
+
+  // Resolve a context URI to its track URIs; null if it doesn't exist
+  getContextTrackUris(contextUri) {
+    const [, type, id] = contextUri.split(':');
+    if (type === 'playlist') {
+      const playlist = this.playlists.get(id);
+      return playlist && this.isPropagated(playlist) ? playlist.trackUris : null;
+    }
+    if (type === 'album') {
+      const album = this.catalog.albums.get(id);
+      return album ? album.trackIds.map(trackId => `spotify:track:${trackId}`) : null;
+    }
+    if (type === 'artist') {
+      const artist = this.catalog.artists.get(id);
+      return artist
+        ? artist.albumIds.flatMap(albumId => this.catalog.albums.get(albumId).trackIds.map(trackId => `spotify:track:${trackId}`))
+        : null;
+    }
+    if ((type === 'user' && contextUri.endsWith(':collection')) || type === 'collection') {
+      return this.likedUris;
+    }
+    return null;
+  }
+
+  // Player
+
+  // Move the playback clock to now
+  sync() {
+    const now = Date.now();
+    if (this.player.isPlaying) {
+      this.advance((now - this.player.updatedAt) * this.speed);
+    }
+    this.player.updatedAt = now;
+  }
+
+  // Play on for ms milliseconds of track time, moving through the queue and the context
+  advance(ms) {
+    let left = ms;
+    while (left > 0 && this.player.isPlaying && this.player.itemUri) {
+      const remaining = this.getTrack(this.player.itemUri).duration_ms - this.player.progressMs;
+      if (left < remaining) {
+        this.player.progressMs += left;
+        return;
+      }
+      left -= remaining;
+      this.nextTrack();
+    }
+  }
+
+  // Go to the next track: the user queue first, then the context; stop at the end of the context
+  nextTrack() {
+    const { player } = this;
+    player.progressMs = 0;
+
+    if (player.queue.length > 0) {
+      player.itemUri = player.queue.shift();
+      return;
+    }
+
+    const contextUris = player.context ? player.context.trackUris : [];
+    if (player.contextIndex + 1 < contextUris.length) {
+      player.contextIndex++;
+      player.itemUri = contextUris[player.contextIndex];
+      return;
+    }
+
+    // End of the context: stay on the last track, finished and paused
+    player.progressMs = this.getTrack(player.itemUri).duration_ms;
+    player.isPlaying = false;
+  }
+
+  // Start a context (or a list of track URIs) on a device; the user queue is kept
+  play({ contextUri = null, uris = null, offset = null, positionMs = 0, deviceId }) {
+    const trackUris = contextUri ? this.getContextTrackUris(contextUri) : uris;
+    let index = 0;
+    if (offset && offset.uri) {
+      index = trackUris.indexOf(offset.uri);
+    } else if (offset && offset.position !== undefined) {
+      index = offset.position;
+    }
+
+    Object.assign(this.player, {
+      deviceId,
+      isPlaying: true,
+      context: contextUri ? { uri: contextUri, trackUris } : { uri: null, trackUris },
+      contextIndex: index,
+      itemUri: trackUris[index],
+      progressMs: positionMs,
+      updatedAt: Date.now()
+    });
+  }
+
+  getTrack(uri) {
+    return this.catalog.tracks.get(uri.split(':')[2]) || null;
+  }
+
+  getDevice(id) {
+    return DEVICES.find(device => device.id === id) || null;
+  }
+
+  // Upcoming items as the queue endpoint reports them: the user queue, the rest of the context,
+  // then (the quirk) the context again from the top until the list is full
+  getQueueUris() {
+    const { player } = this;
+    const upcoming = [...player.queue];
+    const contextUris = player.context ? player.context.trackUris : [];
+    upcoming.push(...contextUris.slice(player.contextIndex + 1));
+
+    while (contextUris.length > 0 && upcoming.length < QUEUE_LENGTH) {
+      upcoming.push(...contextUris);
+    }
+    return upcoming.slice(0, QUEUE_LENGTH);
+  }
+
+  // Failures injected with /mock/fail; returns the first one matching this request, if any
+  takeFailure(path) {
+    const failure = this.failures.find(f => !f.path || path.startsWith(f.path));
+    if (!failure) {
+      return null;
+    }
+
+    failure.times--;
+    if (failure.times <= 0) {
+      this.failures.splice(this.failures.indexOf(failure), 1);
+    }
+    return failure;
+  }
+}
+
+// Spotify object shapes
+
+function toArtistObject(artist) {
+  return { id: artist.id, name: artist.name, type: 'artist', uri: `spotify:artist:${artist.id}` };
+}
+
+function toAlbumObject(mock, album) {
+  return {
+    id: album.id,
+    name: album.name,
+    type: 'album',
+    uri: `spotify:album:${album.id}`,
+    album_type: album.album_group,
+    album_group: album.album_group,
+    release_date: album.release_date,
+    total_tracks: album.trackIds.length,
+    artists: [toArtistObject(mock.catalog.artists.get(album.artistId))]
+  };
+}
+
+// Simplified track (as in album track listings) or full track (with album and ISRC)
+function toTrackObject(mock, track, full = true) {
+  const object = {
+    id: track.id,
+    name: track.name,
+    type: 'track',
+    uri: `spotify:track:${track.id}`,
+    duration_ms: track.duration_ms,
+    is_playable: true,
+    artists: [toArtistObject(mock.catalog.artists.get(track.artistId))]
+  };
+  if (full) {
+    object.album = toAlbumObject(mock, mock.catalog.albums.get(track.albumId));
+    object.external_ids = { isrc: `MOCK${track.id.toUpperCase()}` };
+  }
+  return object;
+}
+
+function toPlaylistObject(playlist) {
+  return {
+    id: playlist.id,
+    name: playlist.name,
+    description: playlist.description,
+    type: 'playlist',
+    uri: `spotify:playlist:${playlist.id}`,
+    public: false,
+    owner: { id: playlist.ownerId, display_name: MOCK_USER.display_name },
+    tracks: { total: playlist.trackUris.length }
+  };
+}
+
+function toDeviceObject(mock, device) {
+  return {
+    ...device,
+    is_active: mock.player.deviceId === device.id,
+    is_private_session: false,
+    is_restricted: false,
+    volume_percent: 50,
+    supports_volume: true
+  };
+}
+
+// A page of items, with next set while there is more
+function toPage(req, items) {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+  const offset = parseInt(req.query.offset) || 0;
+  const hasMore = offset + limit < items.length;
+  return {
+    href: req.originalUrl,
+    items: items.slice(offset, offset + limit),
+    limit,
+    offset,
+    total: items.length,
+    next: hasMore ? `${req.path}?offset=${offset + limit}&limit=${limit}` : null,
+    previous: offset > 0 ? `${req.path}?offset=${Math.max(0, offset - limit)}&limit=${limit}` : null
+  };
+}
+
+// Current playback as /me/player/currently-playing returns it (no device, shuffle or repeat state);
+// null when idle
+function toCurrentlyPlayingObject(mock) {
+  const { player } = mock;
+  if (!player.itemUri) {
+    return null;
+  }
+
+  return {
+    timestamp: player.updatedAt,
+    context: player.context?.uri ? { uri: player.context.uri, type: player.context.uri.split(':')[1] } : null,
+    progress_ms: Math.round(player.progressMs),
+    item: toTrackObject(mock, mock.getTrack(player.itemUri)),
+    currently_playing_type: 'track',
+    is_playing: player.isPlaying
+  };
+}
+
+// Current playback as /me/player returns it: the above plus device, shuffle and repeat state
+function toPlaybackObject(mock) {
+  const currentlyPlaying = toCurrentlyPlayingObject(mock);
+  if (!currentlyPlaying) {
+    return null;
+  }
+
+  const device = mock.getDevice(mock.player.deviceId);
+  return {
+    device: device ? toDeviceObject(mock, device) : null,
+    shuffle_state: mock.player.shuffle,
+    repeat_state: 'off',
+    ...currentlyPlaying
+  };
+}
+
+function sendApiError(res, status, message, reason = undefined) {
+  res.status(status).json({ error: { status, message, reason } });
+}
+
+// Web API routes, mounted under /v1
+function createApiRouter(mock) {
+  const router = express.Router();
+
+  // Injected failures first, then the bearer token
+  router.use((req, res, next) => {
+    const failure = mock.takeFailure(req.path);
+    if (failure) {
+      if (failure.status === 429) {
+        res.set('Retry-After', String(failure.retryAfter));
+      }
+      return sendApiError(res, failure.status, `Injected failure (${failure.status})`);
+    }
+
+    const token = (req.get('Authorization') || '').replace(/^Bearer /, '');
+    const problem = mock.checkAccessToken(token);
+    if (problem) {
+      return sendApiError(res, 401, problem);
+    }
+
+    mock.sync();
+    next();
+  });
+
+  // Resolve the device a player command targets: device_id or the active one
+  // Sends the error response and returns null when there is none
+  function getTargetDevice(req, res) {
+    const deviceId = req.query.device_id || mock.player.deviceId;
+    if (!deviceId) {
+      sendApiError(res, 404, 'Player command failed: No active device found', 'NO_ACTIVE_DEVICE');
+      return null;
+    }
+
+    const device = mock.getDevice(deviceId);
+    if (!device) {
+      sendApiError(res, 404, 'Device not found');
+      return null;
+    }
+    return device;
+  }
+
+  router.get('/me', (req, res) => {
+    res.json({ ...MOCK_USER, type: 'user', uri: `spotify:user:${MOCK_USER.id}`, followers: { total: 0 } });
+  });
+
+  router.get('/me/tracks', (req, res) => {
+    const items = mock.likedUris.map(uri => ({ added_at: new Date(0).toISOString(), track: toTrackObject(mock, mock.getTrack(uri)) }));
+    res.json(toPage(req, items));
+  });
+
+  router.get('/me/playlists', (req, res) => {
+    const playlists = [...mock.playlists.values()].filter(p => p.followed).map(toPlaylistObject);
+    res.json(toPage(req, playlists));
+  });
+
+  router.get('/users/:userId/playlists', (req, res) => {
+    const playlists = [...mock.playlists.values()]
+      .filter(p => p.followed && p.ownerId === req.params.userId)
+      .map(toPlaylistObject);
+    res.json(toPage(req, playlists));
+  });
+
+  router.post('/users/:userId/playlists', (req, res) => {
+    if (req.params.userId !== MOCK_USER.id) {
+      return sendApiError(res, 403, 'You cannot create a playlist for another user');
+    }
+    if (!req.body?.name) {
+      return sendApiError(res, 400, 'Missing required field: name');
+    }
+
+    const playlist = mock.createPlaylist(req.body.name, req.body.description || '');
+    res.status(201).json(toPlaylistObject(playlist));
+  });
+
+  router.get('/playlists/:id', (req, res) => {
+    const playlist = mock.playlists.get(req.params.id);
+    if (!playlist) {
+      return sendApiError(res, 404, 'Resource not found');
+    }
+    res.json(toPlaylistObject(playlist));
+  });
+
+  router.get('/playlists/:id/tracks', (req, res) => {
+    const playlist = mock.playlists.get(req.params.id);
+    if (!playlist) {
+      return sendApiError(res, 404, 'Resource not found');
+    }
+
+    const items = playlist.trackUris.map(uri => ({ added_at: new Date().toISOString(), track: toTrackObject(mock, mock.getTrack(uri)) }));
+    res.json(toPage(req, items));
+  });
+
+  router.post('/playlists/:id/tracks', (req, res) => {
+    const playlist = mock.playlists.get(req.params.id);
+    if (!playlist) {
+      return sendApiError(res, 404, 'Resource not found');
+    }
+
+    const uris = req.body?.uris || [];
+    if (uris.some(uri => !mock.getTrack(uri))) {
+      return sendApiError(res, 400, 'Invalid track uri');
+    }
+
+    const position = req.body?.position ?? playlist.trackUris.length;
+    playlist.trackUris.splice(position, 0, ...uris);
+    if (mock.player.context?.uri === `spotify:playlist:${playlist.id}`) {
+      mock.player.context.trackUris = playlist.trackUris;
+    }
+    res.status(201).json({ snapshot_id: crypto.randomBytes(8).toString('hex') });
+  });
+
+  // Removes every occurrence of each given track
+  router.delete('/playlists/:id/tracks', (req, res) => {
+    const playlist = mock.playlists.get(req.params.id);
+    if (!playlist) {
+      return sendApiError(res, 404, 'Resource not found');
+    }
+
+    const removed = new Set((req.body?.tracks || []).map(track => track.uri));
+    const { player } = mock;
+    const isPlayingThis = player.context?.uri === `spotify:playlist:${playlist.id}`;
+
+    // Keep the player's place in the playlist
+    if (isPlayingThis) {
+      const before = playlist.trackUris.slice(0, player.contextIndex + 1);
+      player.contextIndex -= before.filter(uri => removed.has(uri)).length;
+    }
+
+    playlist.trackUris = playlist.trackUris.filter(uri => !removed.has(uri));
+    if (isPlayingThis) {
+      player.context.trackUris = playlist.trackUris;
+    }
+    res.json({ snapshot_id: crypto.randomBytes(8).toString('hex') });
+  });
+
+  router.delete('/playlists/:id/followers', (req, res) => {
+    const playlist = mock.playlists.get(req.params.id);
+    if (!playlist) {
+      return sendApiError(res, 404, 'Resource not found');
+    }
+    playlist.followed = false;
+    res.status(200).end();
+  });
+
+  router.get('/albums/:id/tracks', (req, res) => {
+    const album = mock.catalog.albums.get(req.params.id);
+    if (!album) {
+      return sendApiError(res, 404, 'Resource not found');
+    }
+    res.json(toPage(req, album.trackIds.map(id => toTrackObject(mock, mock.catalog.tracks.get(id), false))));
+  });
+
+  router.get('/artists/:id', (req, res) => {
+    const artist = mock.catalog.artists.get(req.params.id);
+    if (!artist) {
+      return sendApiError(res, 404, 'Resource not found');
+    }
+    res.json(toArtistObject(artist));
+  });
+
+  router.get('/artists/:id/albums', (req, res) => {
+    const artist = mock.catalog.artists.get(req.params.id);
+    if (!artist) {
+      return sendApiError(res, 404, 'Resource not found');
+    }
+
+    const groups = (req.query.include_groups || 'album,single,appears_on,compilation').split(',');
+    const albums = artist.albumIds
+      .map(id => mock.catalog.albums.get(id))
+      .filter(album => groups.includes(album.album_group))
+      .map(album => toAlbumObject(mock, album));
+    res.json(toPage(req, albums));
+  });
+
+  router.get('/tracks', (req, res) => {
+    const ids = (req.query.ids || '').split(',').filter(Boolean);
+    res.json({ tracks: ids.map(id => mock.catalog.tracks.has(id) ? toTrackObject(mock, mock.catalog.tracks.get(id)) : null) });
+  });
+
+  router.get('/me/player', (req, res) => {
+    const playback = toPlaybackObject(mock);
+    return playback ? res.json(playback) : res.status(204).end();
+  });
+
+  router.get('/me/player/currently-playing', (req, res) => {
+    const playback = toCurrentlyPlayingObject(mock);
+    return playback ? res.json(playback) : res.status(204).end();
+  });
+
+  router.get('/me/player/devices', (req, res) => {
+    res.json({ devices: DEVICES.map(device => toDeviceObject(mock, device)) });
+  });
+
+  router.put('/me/player', (req, res) => {
+    const device = mock.getDevice(req.body?.device_ids?.[0]);
+    if (!device) {
+      return sendApiError(res, 404, 'Device not found');
+    }
+
+    mock.player.deviceId = device.id;
+    if (req.body.play) {
+      mock.player.isPlaying = !!mock.player.itemUri;
+    }
+    res.status(204).end();
+  });
+
+  router.put('/me/player/play', (req, res) => {
+    const device = getTargetDevice(req, res);
+    if (!device) {
+      return;
+    }
+
+    const { context_uri: contextUri, uris, offset, position_ms: positionMs } = req.body || {};
+
+    // No context or tracks: resume
+    if (!contextUri && !uris) {
+      if (!mock.player.itemUri) {
+        return sendApiError(res, 404, 'Player command failed: Nothing to resume');
+      }
+      mock.player.deviceId = device.id;
+      mock.player.isPlaying = true;
+      return res.status(204).end();
+    }
+
+    const trackUris = contextUri ? mock.getContextTrackUris(contextUri) : uris;
+    if (!trackUris) {
+      return sendApiError(res, 404, 'Not found.');
+    }
+    if (trackUris.length === 0) {
+      return sendApiError(res, 400, 'Context has no playable tracks');
+    }
+    if (offset && (offset.uri ? !trackUris.includes(offset.uri) : !(offset.position >= 0 && offset.position < trackUris.length))) {
+      return sendApiError(res, 400, 'Invalid offset');
+    }
+
+    mock.play({ contextUri, uris, offset, positionMs: positionMs || 0, deviceId: device.id });
+    res.status(204).end();
+  });
+
+  router.put('/me/player/pause', (req, res) => {
+    if (!getTargetDevice(req, res)) {
+      return;
+    }
+    if (!mock.player.isPlaying) {
+      return sendApiError(res, 403, 'Player command failed: Restriction violated', 'UNKNOWN');
+    }
+
+    mock.player.isPlaying = false;
+    res.status(204).end();
+  });
+
+  router.post('/me/player/next', (req, res) => {
+    if (!getTargetDevice(req, res)) {
+      return;
+    }
+    if (!mock.player.itemUri) {
+      return sendApiError(res, 403, 'Player command failed: Restriction violated', 'UNKNOWN');
+    }
+
+    mock.nextTrack();
+    res.status(204).end();
+  });
+
+  router.put('/me/player/shuffle', (req, res) => {
+    if (!getTargetDevice(req, res)) {
+      return;
+    }
+
+    mock.player.shuffle = req.query.state === 'true';
+    res.status(204).end();
+  });
+
+  router.get('/me/player/queue', (req, res) => {
+    const currentlyPlaying = mock.player.itemUri ? toTrackObject(mock, mock.getTrack(mock.player.itemUri)) : null;
+    res.json({
+      currently_playing: currentlyPlaying,
+      queue: currentlyPlaying ? mock.getQueueUris().map(uri => toTrackObject(mock, mock.getTrack(uri))) : []
+    });
+  });
+
+  router.post('/me/player/queue', (req, res) => {
+    if (!getTargetDevice(req, res)) {
+      return;
+    }
+    if (!req.query.uri || !mock.getTrack(req.query.uri)) {
+      return sendApiError(res, 400, 'Invalid track uri');
+    }
+
+    mock.player.queue.push(req.query.uri);
+    res.status(204).end();
+  });
+
+  router.use((req, res) => {
+    sendApiError(res, 404, `Service not found (mock has no ${req.method} ${req.path})`);
+  });
+
+  return router;
+}
+
+// Accounts service: /authorize consents right away, /api/token grants every flow STSD uses
+function createAccountsRoutes(app, mock) {
+  app.get('/authorize', (req, res) => {
+    if (!req.query.redirect_uri) {
+      return res.status(400).send('Missing redirect_uri');
+    }
+
+    const redirect = new URL(req.query.redirect_uri);
+    redirect.searchParams.set('code', mock.issueCode());
+    if (req.query.state) {
+      redirect.searchParams.set('state', req.query.state);
+    }
+    res.redirect(redirect.toString());
+  });
+
+  app.post('/api/token', express.urlencoded({ extended: false }), (req, res) => {
+    const { grant_type: grantType, code, refresh_token: refreshToken } = req.body;
+
+    if (grantType === 'authorization_code') {
+      if (!mock.codes.delete(code)) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'Invalid authorization code' });
+      }
+      return res.json(mock.issueTokens());
+    }
+
+    if (grantType === 'refresh_token') {
+      if (!mock.refreshTokens.has(refreshToken)) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'Invalid refresh token' });
+      }
+      return res.json(mock.issueTokens(false));
+    }
+
+    if (grantType === 'client_credentials') {
+      return res.json(mock.issueTokens(false));
+    }
+
+    res.status(400).json({ error: 'unsupported_grant_type', error_description: `grant_type ${grantType} is not supported` });
+  });
+}
+
+// Control endpoints: what the user would do in the Spotify app, and test helpers
+function createControlRouter(mock) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    mock.sync();
+    next();
+  });
+
+  router.get('/state', (req, res) => {
+    const { player } = mock;
+    res.json({
+      player: {
+        device: player.deviceId,
+        isPlaying: player.isPlaying,
+        context: player.context?.uri || null,
+        item: player.itemUri,
+        progressMs: Math.round(player.progressMs),
+        queue: player.queue
+      },
+      playlists: [...mock.playlists.values()].map(p => ({ id: p.id, name: p.name, followed: p.followed, tracks: p.trackUris })),
+      speed: mock.speed,
+      failures: mock.failures
+    });
+  });
+
+  router.get('/play', (req, res) => {
+    const contextUri = req.query.context || 'spotify:playlist:mockmix';
+    const trackUris = mock.getContextTrackUris(contextUri);
+    if (!trackUris || trackUris.length === 0) {
+      return res.status(404).json({ error: `Unknown or empty context: ${contextUri}` });
+    }
+
+    const deviceId = req.query.device || mock.player.deviceId || DEVICES[0].id;
+    if (!mock.getDevice(deviceId)) {
+      return res.status(404).json({ error: `Unknown device: ${deviceId}` });
+    }
+
+    mock.play({ contextUri, offset: { position: parseInt(req.query.position) || 0 }, deviceId });
+    res.json({ message: `Playing ${contextUri} on ${deviceId}` });
+  });
+
+  // Move playback to another device, as picking it in the app's device menu does
+  router.get('/transfer', (req, res) => {
+    if (!mock.getDevice(req.query.device)) {
+      return res.status(404).json({ error: `Unknown device: ${req.query.device}` });
+    }
+
+    mock.player.deviceId = req.query.device;
+    res.json({ message: `Playback moved to ${req.query.device}` });
+  });
+
+  router.get('/pause', (req, res) => {
+    mock.player.isPlaying = false;
+    res.json({ message: 'Paused' });
+  });
+
+  router.get('/next', (req, res) => {
+    if (!mock.player.itemUri) {
+      return res.status(409).json({ error: 'Nothing is playing' });
+    }
+
+    mock.nextTrack();
+    res.json({ message: 'Skipped to next track', item: mock.player.itemUri });
+  });
+
+  // Jump the playback clock forward by ms of track time
+  router.get('/advance', (req, res) => {
+    const ms = parseInt(req.query.ms);
+    if (!(ms > 0)) {
+      return res.status(400).json({ error: 'ms must be a positive number' });
+    }
+
+    mock.advance(ms);
+    res.json({ message: `Advanced ${ms}ms`, item: mock.player.itemUri, isPlaying: mock.player.isPlaying });
+  });
+
+  router.get('/speed', (req, res) => {
+    const speed = parseFloat(req.query.value);
+    if (!(speed >= 0)) {
+      return res.status(400).json({ error: 'value must be a non-negative number' });
+    }
+
+    mock.speed = speed;
+    res.json({ message: `Playback clock speed set to ${speed}` });
+  });
+
+  // Make the next matching API requests fail, e.g. status=429&retryAfter=2 or status=503&times=2
+  router.get('/fail', (req, res) => {
+    const failure = {
+      status: parseInt(req.query.status) || 503,
+      times: parseInt(req.query.times) || 1,
+      path: req.query.path || null,
+      retryAfter: parseInt(req.query.retryAfter) || 1
+    };
+    mock.failures.push(failure);
+    res.json({ message: 'Failure injected', failure });
+  });
+
+  router.get('/reset', (req, res) => {
+    mock.reset();
+    res.json({ message: 'Mock Spotify reset' });
+  });
+
+  return router;
+}
+
+// Create the mock server app; options go to MockSpotify
+function createMockServer(options = {}) {
+  const mock = new MockSpotify(options);
+  const app = express();
+  app.use(express.json());
+
+  createAccountsRoutes(app, mock);
+  app.use('/v1', createApiRouter(mock));
+  app.use('/mock', createControlRouter(mock));
+
+  return { app, mock };
+}
+
+module.exports = { MockSpotify, createMockServer };
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_SPOTIFY_PORT) || DEFAULT_PORT;
+  const { app } = createMockServer({
+    speed: parseFloat(process.env.MOCK_SPOTIFY_SPEED) || 1,
+    playlistPropagationMs: process.env.MOCK_PLAYLIST_PROPAGATION_MS !== undefined
+      ? parseInt(process.env.MOCK_PLAYLIST_PROPAGATION_MS)
+      : 1000
+  });
+
+  app.listen(port, '127.0.0.1', () => {
+    console.log(`Mock Spotify running on http://127.0.0.1:${port}`);
+    console.log(`Point STSD at it: SPOTIFY_API_URL=http://127.0.0.1:${port}/v1 SPOTIFY_ACCOUNTS_URL=http://127.0.0.1:${port}`);
+  });
+}
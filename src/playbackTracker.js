@@ -0,0 +1,86 @@
+// Follows what the user is actually hearing, based on periodic getCurrentPlayback() snapshots,
+// and reports when a track has been listened to long enough to count as played.
+class PlaybackTracker {
+  constructor() {
+    this.current = null; // { uri, durationMs, thresholdMs, progressMs, isPlaying, observedAt, confirmed }
+  }
+
+  // Progress needed before a track counts as played: percent of its duration or a fixed
+  // number of seconds, whichever comes first
+  getThresholdMs(durationMs, thresholds) {
+    const byPercent = durationMs * thresholds.percent / 100;
+    const bySeconds = thresholds.seconds * 1000;
+    return Math.min(byPercent, bySeconds);
+  }
+
+  // Feed a playback snapshot and get back the events it produced:
+  //   { type: 'played', uri, progressMs, durationMs }  - track reached the threshold
+  //   { type: 'skipped', uri, progressMs, durationMs } - track was left before reaching it
+  // When a track is left between two snapshots, its final progress is estimated from the last
+  // snapshot plus the time elapsed since (if it was playing), capped at its duration.
+  observe(playback, thresholds, now = Date.now()) {
+    const events = [];
+    const item = playback?.item || null;
+    const previous = this.current;
+
+    const restarted = previous && item && item.uri === previous.uri &&
+      previous.confirmed && (playback.progress_ms || 0) < previous.progressMs - 5000;
+
+    if (previous && (!item || item.uri !== previous.uri || restarted)) {
+      if (!previous.confirmed) {
+        const elapsed = previous.isPlaying ? now - previous.observedAt : 0;
+        const progressMs = Math.min(previous.durationMs, previous.progressMs + elapsed);
+
+        events.push({
+          type: progressMs >= previous.thresholdMs ? 'played' : 'skipped',
+          uri: previous.uri,
+          progressMs,
+          durationMs: previous.durationMs
+        });
+      }
+
+      this.current = null;
+    }
+
+    if (!item) {
+      return events;
+    }
+
+    if (!this.current) {
+      this.current = {
+        uri: item.uri,
+        durationMs: item.duration_ms,
+        thresholdMs: this.getThresholdMs(item.duration_ms, thresholds),
+        confirmed: false
+      };
+    }
+
+    this.current.progressMs = playback.progress_ms || 0;
+    this.current.isPlaying = !!playback.is_playing;
+    this.current.observedAt = now;
+
+    if (!this.current.confirmed && this.current.progressMs >= this.current.thresholdMs) {
+      this.current.confirmed = true;
+      events.push({
+        type: 'played',
+        uri: item.uri,
+        progressMs: this.current.progressMs,
+        durationMs: this.current.durationMs
+      });
+    }
+
+    return events;
+  }
+
+  // Get current observation info
+  getState() {
+    return this.current ? { ...this.current } : null;
+  }
+
+  // Forget the current observation (e.g. when a new session starts)
+  reset() {
+    this.current = null;
+  }
+}
+
+module.exports = PlaybackTracker;
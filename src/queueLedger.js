@@ -0,0 +1,182 @@
+// Spotify's queue endpoint shows at most this many upcoming tracks
+const SPOTIFY_QUEUE_LIMIT = 20;
+
+// How many finished entries are kept (for status and debugging)
+const MAX_FINISHED_ENTRIES = 50;
+
+// Exact record of every track STSD put up for playback in a session, in order, so the queue
+// returned by getQueue() can be split into STSD's tracks and the user's.
+// Entry statuses: 'queued' (waiting), 'playing', 'finished' (played or skipped past) and
+// 'dropped' (left the queue without playing, e.g. the user cleared it).
+// In rolling playlist mode every entry is a playlist track; removedAt marks those trimmed from it.
+class QueueLedger {
+  constructor() {
+    this.entries = []; // [{ uri, contextUri, via, durationMs, queuedAt, status, finishedAt, removedAt }]
+  }
+
+  // Record a track STSD added: via 'playlist' (the STSD playlist itself) or 'queue'
+  record(uri, contextUri, via = 'queue', durationMs = 0, now = Date.now()) {
+    this.entries.push({
+      uri,
+      contextUri,
+      via,
+      durationMs,
+      queuedAt: new Date(now).toISOString(),
+      status: 'queued',
+      finishedAt: null,
+      removedAt: null
+    });
+  }
+
+  // Entries that haven't finished or been dropped yet, in the order they were added
+  getOutstanding() {
+    return this.entries.filter(entry => entry.status === 'queued' || entry.status === 'playing');
+  }
+
+  // Mark an entry 'finished' or 'dropped'
+  finish(entry, status, now) {
+    entry.status = status;
+    entry.finishedAt = new Date(now).toISOString();
+  }
+
+  // Entries still waiting to be played, in order
+  getUpcoming() {
+    return this.entries.filter(entry => entry.status === 'queued');
+  }
+
+  // Total duration of the entries still waiting to be played
+  getUpcomingMs() {
+    return this.getUpcoming().reduce((sum, entry) => sum + (entry.durationMs || 0), 0);
+  }
+
+  // Move the ledger along to the track now playing
+  // Spotify plays our tracks in order, so when one of them is playing, everything added before it
+  // has finished. Returns { playing, finished, changed }
+  advance(currentTrackUri, now = Date.now()) {
+    const outstanding = this.getOutstanding();
+    const playingIndex = currentTrackUri ? outstanding.findIndex(entry => entry.uri === currentTrackUri) : -1;
+
+    const finished = outstanding.filter((entry, index) =>
+      index < playingIndex || (index !== playingIndex && entry.status === 'playing')
+    );
+    finished.forEach(entry => this.finish(entry, 'finished', now));
+
+    const playing = playingIndex !== -1 ? outstanding[playingIndex] : null;
+    const started = !!playing && playing.status !== 'playing';
+    if (playing) {
+      playing.status = 'playing';
+    }
+
+    return { playing, finished, changed: finished.length > 0 || started };
+  }
+
+  // Match the ledger against what Spotify is playing and has queued
+  // After advancing to the playing track, waiting entries are matched in order against the queue;
+  // anything in the queue we can't account for was queued by the user, except repeats of the STSD
+  // playlist's own tracks (the playlist context continuing after the queue).
+  // Returns { playing, inQueue, dropped, userQueued, queueDepth, changed }
+  reconcile(currentTrackUri, queueUris, now = Date.now()) {
+    const statusesBefore = this.entries.map(entry => entry.status).join();
+    const { playing } = this.advance(currentTrackUri, now);
+    const outstanding = this.getUpcoming();
+
+    // Match waiting entries to queue positions, in order
+    const matchedPositions = new Set();
+    const inQueue = [];
+    const unmatched = [];
+    let cursor = 0;
+
+    for (const entry of outstanding) {
+      const position = queueUris.indexOf(entry.uri, cursor);
+      if (position === -1) {
+        unmatched.push(entry);
+        continue;
+      }
+
+      matchedPositions.add(position);
+      inQueue.push(entry);
+      cursor = position + 1;
+    }
+
+    // An entry missing from the queue was dropped, unless it may just be beyond what the queue
+    // endpoint shows (after the last match of a full queue listing)
+    const lastMatched = inQueue[inQueue.length - 1];
+    const listingFull = queueUris.length >= SPOTIFY_QUEUE_LIMIT;
+    const dropped = unmatched.filter(entry =>
+      !listingFull || (lastMatched && this.entries.indexOf(entry) < this.entries.indexOf(lastMatched))
+    );
+    dropped.forEach(entry => this.finish(entry, 'dropped', now));
+
+    const playlistUris = new Set(this.entries.filter(entry => entry.via === 'playlist').map(entry => entry.uri));
+    const userQueued = queueUris.filter((uri, position) => !matchedPositions.has(position) && !playlistUris.has(uri)).length;
+
+    const changed = this.entries.map(entry => entry.status).join() !== statusesBefore;
+    this.trim();
+
+    return {
+      playing,
+      inQueue,
+      dropped,
+      userQueued,
+      queueDepth: inQueue.length + unmatched.length - dropped.length,
+      changed
+    };
+  }
+
+  // Finished playlist entries that are still in the STSD playlist, for rolling playlist mode to remove
+  // Removing a track from a playlist removes every copy of it, so a track that is also waiting or
+  // playing again further on is left until that entry has finished too.
+  getTrimmable() {
+    const outstandingUris = new Set(this.getOutstanding().map(entry => entry.uri));
+    return this.entries.filter(entry =>
+      entry.via === 'playlist' && entry.status === 'finished' && !entry.removedAt && !outstandingUris.has(entry.uri)
+    );
+  }
+
+  // Mark playlist entries as removed from the STSD playlist
+  markRemoved(entries, now = Date.now()) {
+    entries.forEach(entry => {
+      entry.removedAt = new Date(now).toISOString();
+    });
+    this.trim();
+  }
+
+  // Forget the oldest finished/dropped entries beyond MAX_FINISHED_ENTRIES
+  // Playlist entries are kept while they are in the playlist: their repeats in the queue are the
+  // playlist context, not the user.
+  trim() {
+    const done = this.entries.filter(entry =>
+      (entry.status === 'finished' || entry.status === 'dropped') && (entry.via !== 'playlist' || entry.removedAt)
+    );
+    const excess = new Set(done.slice(0, Math.max(0, done.length - MAX_FINISHED_ENTRIES)));
+    if (excess.size > 0) {
+      this.entries = this.entries.filter(entry => !excess.has(entry));
+    }
+  }
+
+  // Get a summary for /api/status
+  getState() {
+    const count = status => this.entries.filter(entry => entry.status === status).length;
+    return {
+      queued: count('queued'),
+      queuedMs: this.getUpcomingMs(),
+      playing: this.entries.find(entry => entry.status === 'playing')?.uri || null,
+      finished: count('finished'),
+      dropped: count('dropped')
+    };
+  }
+
+  serialize() {
+    return this.entries.map(entry => ({ ...entry }));
+  }
+
+  restore(entries) {
+    this.entries = (entries || []).map(entry => ({ ...entry }));
+  }
+
+  reset() {
+    this.entries = [];
+  }
+}
+
+module.exports = QueueLedger;
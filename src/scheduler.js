@@ -0,0 +1,163 @@
+// Cron-like expressions for scheduled sessions: "minute hour day-of-month month day-of-week"
+// Each field takes *, numbers, ranges (1-5), lists (1,3,5) and steps (*/15, 8-18/2); months and
+// weekdays also take names (jan-dec, sun-sat). Times are in the server's local time zone.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+// How far ahead next runs are searched before giving up (e.g. "0 0 31 2 *" never matches)
+const MAX_SEARCH_DAYS = 366 * 5;
+
+// Turn one field value (number or name) into a number, or NaN
+function parseValue(value, field) {
+  const nameIndex = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+  if (nameIndex !== -1) {
+    return field.name === 'month' ? nameIndex + 1 : nameIndex;
+  }
+
+  return /^\d+$/.test(value) ? parseInt(value) : NaN;
+}
+
+// Expand one field into the set of values it matches
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText);
+    if (!(step > 0) || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw new Error(`Invalid step in ${field.name} field: ${part}`);
+    }
+
+    let start = field.min;
+    let end = field.max;
+    if (range !== '*') {
+      const [startText, endText] = range.split('-');
+      start = parseValue(startText, field);
+      end = endText === undefined ? (stepText === undefined ? start : field.max) : parseValue(endText, field);
+    }
+
+    if (!(start >= field.min && end <= field.max && start <= end)) {
+      throw new Error(`Invalid ${field.name} field: ${part} (allowed ${field.min}-${field.max})`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+// Parse a cron expression; throws an Error describing what's wrong with it
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression needs ${FIELDS.length} fields (minute hour day-of-month month day-of-week), got ${parts.length}`);
+  }
+
+  const cron = {};
+  FIELDS.forEach((field, index) => {
+    cron[field.name] = parseField(parts[index], field);
+  });
+
+  // 7 is Sunday too
+  if (cron.dayOfWeek.has(7)) {
+    cron.dayOfWeek.add(0);
+  }
+
+  // Like cron: when both day fields are restricted, a day matching either of them counts
+  cron.anyDayOfMonth = parts[2] === '*';
+  cron.anyDayOfWeek = parts[4] === '*';
+
+  return cron;
+}
+
+function isValidCron(expression) {
+  try {
+    parseCron(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function matchesDay(cron, date) {
+  const dayOfMonth = cron.dayOfMonth.has(date.getDate());
+  const dayOfWeek = cron.dayOfWeek.has(date.getDay());
+
+  if (!cron.month.has(date.getMonth() + 1)) {
+    return false;
+  }
+  if (cron.anyDayOfMonth || cron.anyDayOfWeek) {
+    return dayOfMonth && dayOfWeek;
+  }
+  return dayOfMonth || dayOfWeek;
+}
+
+// Get the next times (Dates) an expression fires strictly after `from`
+function getNextRuns(expression, from = new Date(), count = 1) {
+  const cron = parseCron(expression);
+  const runs = [];
+
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const searchUntil = from.getTime() + MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+
+  while (runs.length < count && date.getTime() <= searchUntil) {
+    if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      runs.push(new Date(date.getTime()));
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    }
+  }
+
+  return runs;
+}
+
+// Parse a "HH:MM" time of day into { hours, minutes }, or null if it isn't one
+function parseTimeOfDay(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(text || ''));
+  if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) {
+    return null;
+  }
+
+  return { hours: parseInt(match[1]), minutes: parseInt(match[2]) };
+}
+
+// Get the first moment a "HH:MM" time of day comes around after `from` (today or tomorrow)
+function getNextTimeOfDay(text, from = new Date()) {
+  const time = parseTimeOfDay(text);
+  if (!time) {
+    throw new Error(`Invalid time of day: ${text} (expected HH:MM)`);
+  }
+
+  const date = new Date(from.getTime());
+  date.setHours(time.hours, time.minutes, 0, 0);
+  if (date <= from) {
+    date.setDate(date.getDate() + 1);
+  }
+
+  return date;
+}
+
+module.exports = {
+  parseCron,
+  isValidCron,
+  getNextRuns,
+  parseTimeOfDay,
+  getNextTimeOfDay
+};
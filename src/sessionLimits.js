@@ -0,0 +1,64 @@
+// Session limits (sleep timers): end a session after a while, at a time of day or after a number of tracks
+
+const scheduler = require('./scheduler');
+
+// Parse the sleep timer options of the session start endpoints:
+// - duration: minutes from now
+// - until: a time of day (HH:MM, the next time it comes around)
+// - tracks: number of tracks to play
+// A time limit lets the track playing at that time finish; the earlier of duration and until wins.
+// Returns { limits: { endsAt, trackLimit } } or { error }
+function parseSessionLimits(query, now = new Date()) {
+  const endTimes = [];
+
+  if (query.duration !== undefined) {
+    const minutes = Number(query.duration);
+    if (!(minutes > 0)) {
+      return { error: { error: 'duration must be a positive number of minutes' } };
+    }
+    endTimes.push(now.getTime() + minutes * 60 * 1000);
+  }
+
+  if (query.until !== undefined) {
+    if (!scheduler.parseTimeOfDay(query.until)) {
+      return { error: { error: 'until must be a time of day as HH:MM' } };
+    }
+    endTimes.push(scheduler.getNextTimeOfDay(query.until, now).getTime());
+  }
+
+  let trackLimit = null;
+  if (query.tracks !== undefined) {
+    trackLimit = Number(query.tracks);
+    if (!(Number.isInteger(trackLimit) && trackLimit > 0)) {
+      return { error: { error: 'tracks must be a positive integer' } };
+    }
+  }
+
+  return {
+    limits: {
+      endsAt: endTimes.length > 0 ? new Date(Math.min(...endTimes)).toISOString() : null,
+      trackLimit
+    }
+  };
+}
+
+// Apply the limits a request sets to a running session's current ones: only the options present in
+// the query change (an end time from duration/until, a track limit from tracks, counted from playedTracks)
+function mergeSessionLimits(current, query, limits, playedTracks) {
+  const setsEndTime = query.duration !== undefined || query.until !== undefined;
+  return {
+    endsAt: setsEndTime ? limits.endsAt : current.endsAt,
+    trackLimit: query.tracks !== undefined ? playedTracks + limits.trackLimit : current.trackLimit
+  };
+}
+
+// Whether the request sets any session limit
+function hasSessionLimits(query) {
+  return query.duration !== undefined || query.until !== undefined || query.tracks !== undefined;
+}
+
+module.exports = {
+  parseSessionLimits,
+  mergeSessionLimits,
+  hasSessionLimits
+};
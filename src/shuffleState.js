@@ -1,31 +1,256 @@
+// Session lifecycle:
+//   ACTIVE            - playing the STSD playlist, STSD keeps the queue filled
+//   SUSPENDED_BY_USER - the user switched to another context or queued their own tracks; hands off
+//   RESUMABLE         - suspended and playback has stopped; picked up again if the STSD playlist plays
+//   ENDED             - stopped, expired, or no session yet
+const SESSION_STATES = ['ACTIVE', 'SUSPENDED_BY_USER', 'RESUMABLE', 'ENDED'];
+
+const QueueLedger = require('./queueLedger');
+
+// How many state transitions are kept for /api/status
+const MAX_TRANSITIONS = 20;
+
 class ShuffleState {
   constructor() {
-    this.isActive = false;
-    this.currentContext = null;
+    this.isActive = false; // A session exists (any state but ENDED)
+    this.state = 'ENDED';
+    this.stateChangedAt = null;
+    this.suspendedAt = null; // When the session last left ACTIVE (for idle expiry)
+    this.transitions = []; // Recent state transitions: [{ from, to, reason, at }]
+    this.currentContext = null; // Context being shuffled (first source of a mix session)
     this.currentTracks = [];
+    this.sources = []; // Contexts feeding this session: [{ contextUri, weight, tracks, pickCount }]
     this.lastManagedTrack = null;
     this.lastCheckTime = null;
+    this.lastSyncTime = null; // When the sources' track lists were last synced from Spotify
     this.stsdPlaylistId = null;
     this.initialTrackUri = null; // Track the initial track we start the playlist with
+    this.strategy = null; // Shuffle strategy used to pick tracks for this session
+    this.strategyOptions = {}; // Strategy tuning (e.g. temperature for soft-least-played)
+    this.spacingRules = { artistGap: 0, albumGap: 0 }; // Minimum picks between same artist/album
+    this.recentPicks = []; // Tracks picked this session, oldest first (for spacing rules)
+    this.scheduledEnd = null; // { trackUri, action, reason } - end the session once this track is over
+    this.deviceId = null; // Device the session plays and queues on
+    this.deviceMode = 'follow'; // 'pinned' (stay on deviceId) or 'follow' (move along with playback)
+    this.limits = { endsAt: null, trackLimit: null }; // Stop (after the current track) at this time / play count
+    this.playedTracks = 0; // Confirmed plays this session (for the track limit)
+    this.queueLedger = new QueueLedger(); // Every track STSD queued this session, in order
+    this.queueMode = 'queue'; // 'queue' (upcoming tracks in the player queue) or 'playlist' (rolling STSD playlist)
   }
 
-  // Start managing a context
-  startShuffle(contextUri, tracks) {
-    this.isActive = true;
-    this.currentContext = contextUri;
-    this.currentTracks = tracks;
+  // Start managing one or more weighted sources: [{ contextUri, weight, tracks }]
+  startShuffle(sources, strategy, strategyOptions = {}, spacingRules = { artistGap: 0, albumGap: 0 }) {
+    this.transitions = [];
+    this.transition('ACTIVE', 'session started');
+    this.sources = sources.map(source => ({ ...source, pickCount: 0, pass: null }));
+    this.currentContext = this.sources[0].contextUri;
+    this.currentTracks = this.sources.flatMap(source => source.tracks);
     this.lastManagedTrack = null;
     this.lastCheckTime = Date.now();
+    this.lastSyncTime = Date.now();
     this.initialTrackUri = null; // Reset initial track
+    this.strategy = strategy;
+    this.strategyOptions = strategyOptions;
+    this.spacingRules = spacingRules;
+    this.recentPicks = [];
+    this.scheduledEnd = null;
+    this.deviceId = null;
+    this.deviceMode = 'follow';
+    this.limits = { endsAt: null, trackLimit: null };
+    this.playedTracks = 0;
+    this.queueLedger.reset();
+    this.queueMode = 'queue';
     
-    console.log(`Started managing shuffle for ${contextUri} with ${tracks.length} tracks`);
+    const description = this.sources.map(source => `${source.contextUri} (${source.tracks.length} tracks, weight ${source.weight})`).join(', ');
+    console.log(`Started managing shuffle for ${description} (strategy: ${strategy})`);
   }
 
+  // Check if we're currently managing a specific context (as a single-context session)
+  isManagingContext(contextUri) {
+    return this.isActive && this.sources.length === 1 && this.currentContext === contextUri;
+  }
 
+  // Get the context URIs of all sources in this session
+  getSourceContexts() {
+    return this.sources.map(source => source.contextUri);
+  }
 
-  // Check if we're currently managing a specific context
-  isManagingContext(contextUri) {
-    return this.isActive && this.currentContext === contextUri;
+  // Get sources ordered by who should provide the next pick
+  // The source whose share would stay lowest relative to its weight after one more pick goes first,
+  // which interleaves picks so the weights hold over time (e.g. 60/40 -> A B A B A A B ...)
+  getSourcesByPriority() {
+    return [...this.sources].sort((a, b) =>
+      (a.pickCount + 1) / a.weight - (b.pickCount + 1) / b.weight || b.weight - a.weight
+    );
+  }
+
+  // Count a pick towards a source's share
+  recordSourcePick(contextUri) {
+    const source = this.sources.find(s => s.contextUri === contextUri);
+    if (source) {
+      source.pickCount++;
+    }
+  }
+
+  // Find the source context a track belongs to (first match)
+  findSourceContext(trackUri) {
+    const source = this.sources.find(s => s.tracks.some(track => track.uri === trackUri));
+    return source ? source.contextUri : null;
+  }
+
+  // Replace a source's track list after a re-sync
+  updateSourceTracks(contextUri, tracks) {
+    const source = this.sources.find(s => s.contextUri === contextUri);
+    if (source) {
+      source.tracks = tracks;
+      this.currentTracks = this.sources.flatMap(s => s.tracks);
+    }
+  }
+
+  // Remember that the sources were just synced
+  markSynced() {
+    this.lastSyncTime = Date.now();
+  }
+
+  // Set the device the session plays and queues on ('pinned' or 'follow' mode)
+  setDevice(deviceId, mode = this.deviceMode) {
+    this.deviceId = deviceId;
+    this.deviceMode = mode;
+  }
+
+  // Get the device the session plays and queues on (null = whatever is active)
+  getDeviceId() {
+    return this.deviceId;
+  }
+
+  // Remember the shuffle pass a source was last seen in; returns whether that changed anything
+  setSourcePass(contextUri, pass) {
+    const source = this.sources.find(s => s.contextUri === contextUri);
+    if (!source || source.pass === pass) {
+      return false;
+    }
+
+    source.pass = pass;
+    return true;
+  }
+
+  // End the session (action 'stop' or 'switch-context') once the given track has finished playing
+  scheduleEnd(trackUri, action, reason) {
+    this.scheduledEnd = { trackUri, action, reason };
+    console.log(`Session will ${action} after ${trackUri} (${reason})`);
+  }
+
+  // Set when the session should stop: endsAt (ISO time) and/or trackLimit (confirmed plays)
+  setLimits({ endsAt = null, trackLimit = null } = {}) {
+    this.limits = { endsAt, trackLimit };
+  }
+
+  // Get the session's limits: { endsAt, trackLimit }
+  getLimits() {
+    return this.limits;
+  }
+
+  // Get the number of confirmed plays this session (what trackLimit counts)
+  getPlayedTracks() {
+    return this.playedTracks;
+  }
+
+  // Set how upcoming tracks are lined up: 'queue' or 'playlist'
+  setQueueMode(queueMode) {
+    this.queueMode = queueMode;
+  }
+
+  // Get how upcoming tracks are lined up: 'queue' or 'playlist'
+  getQueueMode() {
+    return this.queueMode;
+  }
+
+  // Count a confirmed play towards the track limit
+  recordPlay() {
+    this.playedTracks++;
+  }
+
+  // Get what the session's limits still allow: { ms, tracks } until the end time / track limit
+  // (null where there is no such limit)
+  getRemainingLimits(now = Date.now()) {
+    return {
+      ms: this.limits.endsAt ? Math.max(0, new Date(this.limits.endsAt).getTime() - now) : null,
+      tracks: this.limits.trackLimit ? Math.max(0, this.limits.trackLimit - this.playedTracks) : null
+    };
+  }
+
+  // Check whether what the session has lined up (the ledger's upcoming tracks plus what is left of
+  // the current track) falls short of the queue target: { minTracks, minMinutes, maxTracks }
+  // Nothing more is lined up than the session's limits still allow: no more tracks than are left
+  // of the track limit, and nothing that would start after the end time.
+  isBelowQueueTarget(target, currentRemainingMs = 0, now = Date.now()) {
+    const upcoming = this.queueLedger.getUpcoming().length;
+    if (upcoming >= target.maxTracks) {
+      return false;
+    }
+
+    const queuedMs = currentRemainingMs + this.queueLedger.getUpcomingMs();
+    const remaining = this.getRemainingLimits(now);
+    if (remaining.tracks !== null && this.queueLedger.getOutstanding().length >= remaining.tracks) {
+      return false;
+    }
+    if (remaining.ms !== null && queuedMs >= remaining.ms) {
+      return false;
+    }
+
+    return upcoming < target.minTracks || queuedMs < target.minMinutes * 60 * 1000;
+  }
+
+  // Get the reason the session has reached one of its limits, or null if it hasn't
+  getReachedLimit(now = Date.now()) {
+    if (this.limits.endsAt && now >= new Date(this.limits.endsAt).getTime()) {
+      return `end time ${this.limits.endsAt} reached`;
+    }
+    if (this.limits.trackLimit && this.playedTracks >= this.limits.trackLimit) {
+      return `track limit of ${this.limits.trackLimit} reached`;
+    }
+    return null;
+  }
+
+  // Get the scheduled session end, if any
+  getScheduledEnd() {
+    return this.scheduledEnd;
+  }
+
+  // Move the session to another lifecycle state (see SESSION_STATES), logging why
+  transition(state, reason) {
+    if (!SESSION_STATES.includes(state)) {
+      throw new Error(`Unknown session state: ${state}`);
+    }
+
+    if (state === this.state) {
+      return;
+    }
+
+    const from = this.state;
+    this.state = state;
+    this.stateChangedAt = Date.now();
+    this.isActive = state !== 'ENDED';
+
+    if (state === 'ACTIVE') {
+      this.suspendedAt = null;
+    } else if (from === 'ACTIVE') {
+      this.suspendedAt = this.stateChangedAt;
+    }
+
+    this.transitions.push({ from, to: state, reason, at: new Date(this.stateChangedAt).toISOString() });
+    if (this.transitions.length > MAX_TRANSITIONS) {
+      this.transitions = this.transitions.slice(this.transitions.length - MAX_TRANSITIONS);
+    }
+
+    console.log(`Session state: ${from} -> ${state} (${reason})`);
+  }
+
+  // Stop managing the current session
+  stopShuffle(reason = 'stopped') {
+    console.log(`Stopped managing shuffle for ${this.getSourceContexts().join(', ')}`);
+    this.transition('ENDED', reason);
+    this.scheduledEnd = null;
   }
 
   // Update what track we last managed
@@ -38,36 +263,54 @@ class ShuffleState {
   getState() {
     return {
       isActive: this.isActive,
+      state: this.state,
+      stateChangedAt: this.stateChangedAt,
+      suspendedAt: this.suspendedAt,
+      transitions: this.transitions,
       currentContext: this.currentContext,
       totalTracks: this.currentTracks.length,
+      sources: this.sources.map(source => ({
+        contextUri: source.contextUri,
+        weight: source.weight,
+        totalTracks: source.tracks.length,
+        picks: source.pickCount,
+        pass: source.pass
+      })),
       lastManagedTrack: this.lastManagedTrack,
-      lastCheckTime: this.lastCheckTime
+      lastCheckTime: this.lastCheckTime,
+      lastSyncTime: this.lastSyncTime,
+      strategy: this.strategy,
+      strategyOptions: this.strategyOptions,
+      spacingRules: this.spacingRules,
+      recentPicks: this.recentPicks.length,
+      scheduledEnd: this.scheduledEnd,
+      deviceId: this.deviceId,
+      deviceMode: this.deviceMode,
+      limits: this.limits,
+      limitsRemaining: this.getRemainingLimits(),
+      playedTracks: this.playedTracks,
+      queueMode: this.queueMode,
+      queueLedger: this.queueLedger.getState()
     };
   }
 
-  // Check if we should take control based on what's currently playing
-  shouldTakeControl(currentPlayback) {
-    if (!this.isActive) {
+  // Check if STSD should be managing playback right now: the session exists, its STSD playlist
+  // is the playing context (on the pinned device, if any) and the user hasn't queued tracks of their own
+  shouldTakeControl(currentPlayback, userQueuedTracks = 0) {
+    if (!this.isActive || !this.stsdPlaylistId) {
       return false;
     }
 
-    // If nothing is playing, we should take control
-    if (!currentPlayback || !currentPlayback.is_playing) {
-      return true;
-    }
-
-    // If playing different context, we should take control
-    if (!currentPlayback.context || currentPlayback.context.uri !== this.currentContext) {
-      return true;
+    if (currentPlayback?.context?.uri !== `spotify:playlist:${this.stsdPlaylistId}`) {
+      return false;
     }
 
-    // If playing our context but we haven't managed this track, we should take control
-    const currentTrackUri = currentPlayback.item?.uri;
-    if (currentTrackUri && currentTrackUri !== this.lastManagedTrack) {
-      return true;
+    // A pinned session only plays on its own device
+    if (this.deviceMode === 'pinned' && currentPlayback.device?.id !== this.deviceId) {
+      return false;
     }
 
-    return false;
+    return userQueuedTracks === 0;
   }
 
   // Store STSD playlist ID
@@ -80,7 +323,7 @@ class ShuffleState {
     return this.stsdPlaylistId;
   }
 
-  // Get all tracks from current context
+  // Get all tracks from all sources of the session
   getAllTracks() {
     return this.currentTracks;
   }
@@ -96,7 +339,103 @@ class ShuffleState {
     return this.initialTrackUri;
   }
 
+  // Record a track STSD added to the STSD playlist ('playlist') or the queue ('queue')
+  recordQueued(uri, contextUri, via, durationMs = 0) {
+    this.queueLedger.record(uri, contextUri, via, durationMs);
+  }
+
+  // Switch the shuffle strategy for the current session
+  setStrategy(strategy, strategyOptions = this.strategyOptions) {
+    this.strategy = strategy;
+    this.strategyOptions = strategyOptions;
+    console.log(`Shuffle strategy set to: ${strategy}`);
+  }
+
+  // Get the shuffle strategy for the current session
+  getStrategy() {
+    return this.strategy;
+  }
+
+  // Get the strategy options for the current session
+  getStrategyOptions() {
+    return this.strategyOptions;
+  }
+
+  // Get the artist/album spacing rules for the current session
+  getSpacingRules() {
+    return this.spacingRules;
+  }
+
+  // Remember a picked track for spacing rules (only the largest gap's worth is kept)
+  recordPick(trackInfo) {
+    this.recentPicks.push({
+      uri: trackInfo.uri,
+      artist_ids: trackInfo.artist_ids || [],
+      album_id: trackInfo.album_id || null
+    });
+
+    const keep = Math.max(this.spacingRules.artistGap, this.spacingRules.albumGap);
+    if (this.recentPicks.length > keep) {
+      this.recentPicks = this.recentPicks.slice(this.recentPicks.length - keep);
+    }
+  }
+
+  // Get everything needed to pick the session up again after a restart
+  // Track lists are left out; they are re-fetched from Spotify on resume.
+  serialize() {
+    return {
+      isActive: this.isActive,
+      state: this.state,
+      sources: this.sources.map(({ tracks, ...source }) => source),
+      stsdPlaylistId: this.stsdPlaylistId,
+      initialTrackUri: this.initialTrackUri,
+      strategy: this.strategy,
+      strategyOptions: this.strategyOptions,
+      spacingRules: this.spacingRules,
+      recentPicks: this.recentPicks,
+      scheduledEnd: this.scheduledEnd,
+      deviceId: this.deviceId,
+      deviceMode: this.deviceMode,
+      limits: this.limits,
+      playedTracks: this.playedTracks,
+      queueMode: this.queueMode,
+      queueLedger: this.queueLedger.serialize()
+    };
+  }
+
+  // Restore a serialized session; tracksByContext maps each source's context URI to its tracks
+  restore(saved, tracksByContext) {
+    this.transitions = [];
+    this.transition('ACTIVE', 'resumed after restart');
+    this.sources = saved.sources.map(source => ({ ...source, tracks: tracksByContext[source.contextUri] || [] }));
+    this.currentContext = this.sources[0].contextUri;
+    this.currentTracks = this.sources.flatMap(source => source.tracks);
+    this.lastManagedTrack = null;
+    this.lastCheckTime = Date.now();
+    this.lastSyncTime = Date.now();
+    this.stsdPlaylistId = saved.stsdPlaylistId;
+    this.initialTrackUri = saved.initialTrackUri;
+    this.strategy = saved.strategy;
+    this.strategyOptions = saved.strategyOptions;
+    this.spacingRules = saved.spacingRules;
+    this.recentPicks = saved.recentPicks;
+    this.scheduledEnd = saved.scheduledEnd;
+    this.deviceId = saved.deviceId || null;
+    this.deviceMode = saved.deviceMode || 'follow';
+    this.limits = saved.limits || { endsAt: null, trackLimit: null };
+    this.playedTracks = saved.playedTracks || 0;
+    this.queueLedger.restore(saved.queueLedger);
+    this.queueMode = saved.queueMode || 'queue';
+
+    console.log(`Restored shuffle session for ${this.getSourceContexts().join(', ')} (strategy: ${this.strategy})`);
+  }
+
+  // Get recently picked tracks, oldest first
+  getRecentPicks() {
+    return this.recentPicks;
+  }
+
 
 }
 
-module.exports = new ShuffleState();
\ No newline at end of file
+module.exports = ShuffleState;
\ No newline at end of file
@@ -0,0 +1,181 @@
+const database = require('./database');
+
+// Fraction of the least recently played tracks used as the pool for 'oldest-last-played'
+const OLDEST_POOL_FRACTION = 0.1;
+
+// Helper function to randomly select from an array
+function getRandomElement(array) {
+  return array[Math.floor(Math.random() * array.length)];
+}
+
+// Randomly select from an array, with probability proportional to each item's weight
+function getWeightedRandomElement(items) {
+  const totalWeight = items.reduce((sum, item) => sum + item.weight, 0);
+
+  if (!(totalWeight > 0)) {
+    return getRandomElement(items);
+  }
+
+  let threshold = Math.random() * totalWeight;
+  for (const item of items) {
+    threshold -= item.weight;
+    if (threshold < 0) {
+      return item;
+    }
+  }
+
+  return items[items.length - 1];
+}
+
+// Registry of shuffle strategies
+// Each strategy builds a candidate pool for a context; candidates may carry a `weight`
+// (defaults to 1), and the engine picks one of them at random according to those weights.
+// Strategies receive the session's strategy options (e.g. temperature) as second argument and the
+// (user-scoped) database to read play counts from as third.
+const strategies = {
+  'strict-least-played': {
+    description: 'Uniform random pick among the tracks with the lowest play count',
+    async getCandidates(contextUri, options, db) {
+      return db.getLeastPlayedTracks(contextUri);
+    }
+  },
+
+  'soft-least-played': {
+    description: 'Every track is eligible, weight decays with play count above the minimum and recent plays (tunable temperature)',
+    async getCandidates(contextUri, options, db) {
+      return db.getWeightedLeastPlayedTracks(contextUri, options.temperature, options.recencyHalfLifeHours);
+    }
+  },
+
+  'weighted-inverse-count': {
+    description: 'Every track is eligible, weighted by 1 / (play count + 1)',
+    async getCandidates(contextUri, options, db) {
+      const tracks = await db.getSelectableTracks(contextUri);
+      // Boosted new tracks can sit below zero
+      return tracks.map(track => ({ ...track, weight: 1 / (Math.max(track.effective_play_count, 0) + 1) }));
+    }
+  },
+
+  'oldest-last-played': {
+    description: 'Uniform random pick among never-played tracks, or else the 10% least recently played',
+    async getCandidates(contextUri, options, db) {
+      const tracks = await db.getSelectableTracks(contextUri);
+
+      const neverPlayed = tracks.filter(track => !track.last_played);
+      if (neverPlayed.length > 0) {
+        return neverPlayed;
+      }
+
+      const byLastPlayed = [...tracks].sort((a, b) => a.last_played.localeCompare(b.last_played));
+      return byLastPlayed.slice(0, Math.max(1, Math.ceil(byLastPlayed.length * OLDEST_POOL_FRACTION)));
+    }
+  },
+
+  'pure-random': {
+    description: 'Uniform random pick among all tracks, ignoring play history',
+    async getCandidates(contextUri, options, db) {
+      return db.getSelectableTracks(contextUri);
+    }
+  }
+};
+
+// Check if a track shares an artist or album with any of the given recent picks
+function conflictsWithRecent(trackInfo, recentPicks, artistGap, albumGap) {
+  const recentForArtist = artistGap > 0 ? recentPicks.slice(-artistGap) : [];
+  const recentForAlbum = albumGap > 0 ? recentPicks.slice(-albumGap) : [];
+
+  const artistIds = trackInfo.artist_ids || [];
+  if (recentForArtist.some(pick => (pick.artist_ids || []).some(artistId => artistIds.includes(artistId)))) {
+    return true;
+  }
+
+  return !!trackInfo.album_id && recentForAlbum.some(pick => pick.album_id === trackInfo.album_id);
+}
+
+// Narrow candidates to those respecting the artist/album spacing rules
+// If nothing satisfies the rules, the gaps are halved step by step until something does
+// (ending with no constraint at all), so the queue never stalls on an unsatisfiable rule.
+function applySpacing(candidates, spacing) {
+  const { allTracks, recentPicks } = spacing;
+  let { artistGap, albumGap } = spacing;
+
+  if (!(artistGap > 0 || albumGap > 0) || recentPicks.length === 0) {
+    return { candidates, artistGap, albumGap, relaxed: false };
+  }
+
+  const tracksByUri = new Map(allTracks.map(track => [track.uri, track]));
+  let relaxed = false;
+
+  while (artistGap > 0 || albumGap > 0) {
+    const allowed = candidates.filter(candidate => {
+      const trackInfo = tracksByUri.get(candidate.track_id);
+      return !trackInfo || !conflictsWithRecent(trackInfo, recentPicks, artistGap, albumGap);
+    });
+
+    if (allowed.length > 0) {
+      return { candidates: allowed, artistGap, albumGap, relaxed };
+    }
+
+    artistGap = Math.floor(artistGap / 2);
+    albumGap = Math.floor(albumGap / 2);
+    relaxed = true;
+  }
+
+  return { candidates, artistGap, albumGap, relaxed };
+}
+
+// Check if a strategy name is registered
+function isValidStrategy(name) {
+  return Object.prototype.hasOwnProperty.call(strategies, name);
+}
+
+// List registered strategies (for status and error messages)
+function listStrategies() {
+  return Object.entries(strategies).map(([name, strategy]) => ({
+    name,
+    description: strategy.description
+  }));
+}
+
+// Select the next track for a context using the given strategy
+// Optional spacing: { artistGap, albumGap, recentPicks, allTracks } to avoid same-artist/album repeats
+// db is the user-scoped database (database.forUser()); defaults to the 'default' user
+// Returns { track, poolSize, spacing } or null if the context has no tracks to pick from
+async function selectTrack(strategyName, contextUri, options = {}, spacing = null, db = database) {
+  if (!isValidStrategy(strategyName)) {
+    throw new Error(`Unknown shuffle strategy: ${strategyName}`);
+  }
+
+  const candidates = await strategies[strategyName].getCandidates(contextUri, options, db);
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const spaced = spacing
+    ? applySpacing(candidates, spacing)
+    : { candidates, artistGap: 0, albumGap: 0, relaxed: false };
+
+  if (spaced.relaxed) {
+    console.log(`Spacing relaxed to artist gap ${spaced.artistGap}, album gap ${spaced.albumGap} (no candidate satisfied the configured gaps)`);
+  }
+
+  const weighted = spaced.candidates.map(track => ({ ...track, weight: track.weight ?? 1 }));
+
+  return {
+    track: getWeightedRandomElement(weighted),
+    poolSize: spaced.candidates.length,
+    spacing: {
+      artistGap: spaced.artistGap,
+      albumGap: spaced.albumGap,
+      relaxed: spaced.relaxed
+    }
+  };
+}
+
+module.exports = {
+  applySpacing,
+  isValidStrategy,
+  listStrategies,
+  selectTrack
+};
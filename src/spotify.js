@@ -1,15 +1,21 @@
 const { SpotifyApi, SpotifyClientCredentials } = require('@spotify/web-api-ts-sdk');
 const fs = require('fs').promises;
 const path = require('path');
+const {
+    SpotifyError, AuthError, RateLimited, NoActiveDevice, NotFound, getApiBaseUrl, getAccountsBaseUrl, fetchWithRetry, spotifyRequest, sdkOptions
+} = require('./spotifyRequest');
 
 class SpotifyClient {
-    constructor() {
+    constructor(tokensFile = path.join(__dirname, '..', '.tokens.json')) {
         this.api = null;
         this.isAuthenticated = false;
-        this.tokensFile = path.join(__dirname, '..', '.tokens.json');
+        this.tokensFile = tokensFile;
 
-        // Try to load existing tokens on startup
-        this.loadTokens();
+        // The SDK builds its URLs from this static root (shared by every client)
+        SpotifyApi.rootUrl = `${getApiBaseUrl()}/`;
+
+        // Try to load existing tokens on startup (await tokensLoaded before relying on them)
+        this.tokensLoaded = this.loadTokens();
     }
 
     // Load tokens from file
@@ -28,7 +34,7 @@ class SpotifyClient {
                     access_token: this.accessToken,
                     refresh_token: this.refreshToken,
                     expires_in: this.expiresAt ? Math.max(0, Math.floor((this.expiresAt - Date.now()) / 1000)) : 0
-                });
+                }, sdkOptions);
                 this.isAuthenticated = true;
 
                 const now = Date.now();
@@ -55,6 +61,7 @@ class SpotifyClient {
                 saved_at: Date.now()
             };
 
+            await fs.mkdir(path.dirname(this.tokensFile), { recursive: true });
             await fs.writeFile(this.tokensFile, JSON.stringify(tokens, null, 2));
             console.log('Spotify tokens saved');
         } catch (error) {
@@ -65,7 +72,7 @@ class SpotifyClient {
     // Check if token needs refresh and refresh if necessary
     async ensureValidToken() {
         if (!this.refreshToken) {
-            throw new Error('No refresh token available, re-authentication required');
+            throw new AuthError('No refresh token available, re-authentication required');
         }
 
         const now = Date.now();
@@ -76,7 +83,7 @@ class SpotifyClient {
             console.log('Token expired or expiring soon, refreshing...');
 
             try {
-                const response = await fetch('https://accounts.spotify.com/api/token', {
+                const response = await fetchWithRetry(`${getAccountsBaseUrl()}/api/token`, {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/x-www-form-urlencoded',
@@ -106,7 +113,7 @@ class SpotifyClient {
                         access_token: this.accessToken,
                         refresh_token: this.refreshToken,
                         expires_in: data.expires_in
-                    });
+                    }, sdkOptions);
 
                     console.log('Token refreshed successfully');
                     return true;
@@ -117,13 +124,31 @@ class SpotifyClient {
             } catch (error) {
                 console.error('Token refresh failed:', error);
                 this.isAuthenticated = false;
-                throw new Error('Token refresh failed, re-authentication required: ' + error.message);
+                throw new AuthError('Token refresh failed, re-authentication required: ' + error.message);
             }
         }
 
         return true;
     }
 
+    // Call a Web API endpoint directly (for calls the SDK gets wrong, e.g. empty 204 responses)
+    // Goes through the shared request layer: retries, Retry-After and typed errors (see spotifyRequest.js)
+    async request(endpoint, { method = 'GET', query = {}, body } = {}) {
+        if (!this.isAuthenticated || !this.api) {
+            throw new AuthError('Not authenticated with Spotify');
+        }
+
+        await this.ensureValidToken();
+
+        const url = new URL(`${getApiBaseUrl()}${endpoint}`);
+        for (const [key, value] of Object.entries(query)) {
+            if (value !== null && value !== undefined) {
+                url.searchParams.append(key, value);
+            }
+        }
+
+        return spotifyRequest(url.toString(), { method, token: this.accessToken, body });
+    }
 
 
     // Initialize with client credentials (for basic API access)
@@ -131,7 +156,9 @@ class SpotifyClient {
         try {
             this.api = SpotifyApi.withClientCredentials(
                 process.env.SPOTIFY_CLIENT_ID,
-                process.env.SPOTIFY_CLIENT_SECRET
+                process.env.SPOTIFY_CLIENT_SECRET,
+                [],
+                sdkOptions
             );
             console.log('Spotify client credentials initialized');
             return true;
@@ -141,8 +168,8 @@ class SpotifyClient {
         }
     }
 
-    // Get authorization URL for user login
-    getAuthUrl() {
+    // Get authorization URL for user login (state comes back to the callback)
+    getAuthUrl(state = Math.random().toString(36).substring(7)) {
         const scopes = [
             // Playback control
             'user-read-playback-state',
@@ -174,16 +201,16 @@ class SpotifyClient {
             client_id: process.env.SPOTIFY_CLIENT_ID,
             scope: scopes.join(' '),
             redirect_uri: process.env.SPOTIFY_REDIRECT_URI,
-            state: Math.random().toString(36).substring(7) // Simple state for security
+            state: state
         });
 
-        return `https://accounts.spotify.com/authorize?${params.toString()}`;
+        return `${getAccountsBaseUrl()}/authorize?${params.toString()}`;
     }
 
     // Exchange authorization code for access token
     async handleCallback(code) {
         try {
-            const response = await fetch('https://accounts.spotify.com/api/token', {
+            const response = await fetchWithRetry(`${getAccountsBaseUrl()}/api/token`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/x-www-form-urlencoded',
@@ -213,7 +240,7 @@ class SpotifyClient {
                     access_token: data.access_token,
                     refresh_token: data.refresh_token,
                     expires_in: data.expires_in
-                });
+                }, sdkOptions);
 
                 console.log('Spotify user authentication successful');
 
@@ -232,15 +259,21 @@ class SpotifyClient {
     // Get current playback state
     async getCurrentPlayback() {
         if (!this.isAuthenticated || !this.api) {
-            throw new Error('Not authenticated with Spotify');
+            throw new AuthError('Not authenticated with Spotify');
         }
 
         try {
             await this.ensureValidToken();
-            return await this.api.player.getCurrentlyPlayingTrack();
+            // /me/player rather than /me/player/currently-playing: only it includes the device,
+            // which device follow and pinned sessions depend on
+            // Nothing playing is a 204, which the SDK returns as null
+            return await this.api.player.getPlaybackState();
         } catch (error) {
-            console.error('Failed to get current playback:', error);
-            return null;
+            if (error instanceof NotFound) {
+                return null;
+            }
+            // A rejected token, rate limiting or an outage doesn't mean nothing is playing
+            throw error;
         }
     }
 
@@ -266,14 +299,42 @@ class SpotifyClient {
         }
     }
 
-    // Get all tracks from a context (playlist, album, etc.)
+    // Check if a context URI refers to the user's Liked Songs
+    // Spotify reports it as spotify:user:<id>:collection (or spotify:collection:tracks in some clients)
+    isLikedSongsUri(contextUri) {
+        const parts = contextUri.split(':');
+        return (parts[1] === 'user' && parts[3] === 'collection') || parts[1] === 'collection';
+    }
+
+    // Map context URIs onto the stable id used to store play counts
+    // Liked Songs always becomes spotify:user:<current user id>:collection; others are unchanged
+    async normalizeContextUri(contextUri) {
+        if (!this.isLikedSongsUri(contextUri)) {
+            return contextUri;
+        }
+
+        if (!this.isAuthenticated || !this.api) {
+            throw new AuthError('Not authenticated with Spotify');
+        }
+
+        await this.ensureValidToken();
+        const user = await this.api.currentUser.profile();
+        return `spotify:user:${user.id}:collection`;
+    }
+
+    // Get all tracks from a context (playlist, album, Liked Songs, etc.)
     async getContextTracks(contextUri) {
         if (!this.isAuthenticated || !this.api) {
-            throw new Error('Not authenticated with Spotify');
+            throw new AuthError('Not authenticated with Spotify');
         }
 
         try {
             await this.ensureValidToken();
+
+            if (this.isLikedSongsUri(contextUri)) {
+                return await this.getLikedSongsTracks();
+            }
+
             // Parse context URI to determine type
             const [, type, id] = contextUri.split(':');
 
@@ -295,6 +356,8 @@ class SpotifyClient {
                             uri: item.track.uri,
                             name: item.track.name,
                             artists: item.track.artists.map(a => a.name).join(', '),
+                            artist_ids: item.track.artists.map(a => a.id),
+                            album_id: item.track.album?.id || null,
                             duration_ms: item.track.duration_ms
                         }));
 
@@ -305,26 +368,18 @@ class SpotifyClient {
                 }
 
             } else if (type === 'album') {
-                // Get album tracks
-                let offset = 0;
-                const limit = 50;
-
-                while (true) {
-                    const response = await this.api.albums.getAlbumTracks(id, 'US', limit, offset);
-
-                    const albumTracks = response.items.map(track => ({
-                        id: track.id,
-                        uri: track.uri,
-                        name: track.name,
-                        artists: track.artists.map(a => a.name).join(', '),
-                        duration_ms: track.duration_ms
-                    }));
-
-                    tracks.push(...albumTracks);
-
-                    if (response.items.length < limit) break;
-                    offset += limit;
-                }
+                tracks = (await this.getAlbumTracks(id)).map(track => ({
+                    id: track.id,
+                    uri: track.uri,
+                    name: track.name,
+                    artists: track.artists.map(a => a.name).join(', '),
+                    artist_ids: track.artists.map(a => a.id),
+                    album_id: id,
+                    duration_ms: track.duration_ms
+                }));
+
+            } else if (type === 'artist') {
+                return await this.getArtistTracks(id);
 
             } else {
                 throw new Error(`Unsupported context type: ${type}`);
@@ -334,6 +389,7 @@ class SpotifyClient {
                 contextUri,
                 type,
                 id,
+                name: `${type} ${id}`,
                 totalTracks: tracks.length,
                 tracks
             };
@@ -344,34 +400,168 @@ class SpotifyClient {
         }
     }
 
+    // Get all (simplified) tracks of an album
+    async getAlbumTracks(albumId) {
+        let tracks = [];
+        let offset = 0;
+        const limit = 50;
+
+        while (true) {
+            const response = await this.api.albums.tracks(albumId, 'US', limit, offset);
+            tracks.push(...response.items);
+
+            if (response.items.length < limit) break;
+            offset += limit;
+        }
+
+        return tracks;
+    }
+
+    // Get an artist's discography as a context: every track of the artist's albums in
+    // ARTIST_INCLUDE_GROUPS (album,single by default; also appears_on, compilation), with
+    // re-releases collapsed to one track (same ISRC, or same name with duration within 2s)
+    async getArtistTracks(artistId) {
+        await this.ensureValidToken();
+
+        const includeGroups = process.env.ARTIST_INCLUDE_GROUPS || 'album,single';
+        const groupPriority = includeGroups.split(',').map(group => group.trim());
+        const artist = await this.api.artists.get(artistId);
+
+        // Collect the artist's albums
+        let albums = [];
+        let offset = 0;
+        const limit = 50;
+
+        while (true) {
+            const response = await this.api.artists.albums(artistId, includeGroups, 'US', limit, offset);
+            albums.push(...response.items);
+
+            if (response.items.length < limit) break;
+            offset += limit;
+        }
+
+        // Originals win over re-releases: preferred groups first, then oldest release first
+        albums.sort((a, b) =>
+            groupPriority.indexOf(a.album_group) - groupPriority.indexOf(b.album_group) ||
+            (a.release_date || '').localeCompare(b.release_date || '')
+        );
+
+        console.log(`Expanding ${albums.length} albums of artist ${artist.name} (${includeGroups})`);
+
+        // Expand albums to the tracks the artist is actually on
+        let trackIds = [];
+        for (const album of albums) {
+            const albumTracks = await this.getAlbumTracks(album.id);
+            trackIds.push(...albumTracks
+                .filter(track => track.artists.some(a => a.id === artistId))
+                .map(track => track.id));
+        }
+
+        // Fetch full track objects (album and ISRC) in batches of 50, keeping album order
+        let fullTracks = [];
+        for (let i = 0; i < trackIds.length; i += 50) {
+            const batch = await this.api.tracks.get(trackIds.slice(i, i + 50), 'US');
+            fullTracks.push(...batch.filter(Boolean));
+        }
+
+        // De-duplicate re-releases
+        const seenIsrcs = new Set();
+        const keptByName = new Map();
+        const tracks = [];
+
+        for (const track of fullTracks) {
+            const isrc = track.external_ids?.isrc;
+            if (isrc && seenIsrcs.has(isrc)) {
+                continue;
+            }
+
+            const nameKey = track.name.toLowerCase().trim();
+            const sameName = keptByName.get(nameKey) || [];
+            if (sameName.some(kept => Math.abs(kept.duration_ms - track.duration_ms) <= 2000)) {
+                continue;
+            }
+
+            if (isrc) {
+                seenIsrcs.add(isrc);
+            }
+            keptByName.set(nameKey, [...sameName, track]);
+
+            tracks.push({
+                id: track.id,
+                uri: track.uri,
+                name: track.name,
+                artists: track.artists.map(a => a.name).join(', '),
+                artist_ids: track.artists.map(a => a.id),
+                album_id: track.album?.id || null,
+                duration_ms: track.duration_ms
+            });
+        }
+
+        console.log(`Artist ${artist.name}: ${tracks.length} unique tracks (${fullTracks.length - tracks.length} re-releases removed)`);
+
+        return {
+            contextUri: `spotify:artist:${artistId}`,
+            type: 'artist',
+            id: artistId,
+            name: `${artist.name} (discography)`,
+            totalTracks: tracks.length,
+            tracks
+        };
+    }
+
+    // Get all of the user's saved tracks (Liked Songs) as a context
+    async getLikedSongsTracks() {
+        await this.ensureValidToken();
+
+        const contextUri = await this.normalizeContextUri('spotify:collection:tracks');
+        const userId = contextUri.split(':')[2];
+
+        let tracks = [];
+        let offset = 0;
+        const limit = 50;
+
+        while (true) {
+            const response = await this.api.currentUser.tracks.savedTracks(limit, offset);
+
+            const savedTracks = response.items
+                .filter(item => item.track && item.track.type === 'track')
+                .map(item => ({
+                    id: item.track.id,
+                    uri: item.track.uri,
+                    name: item.track.name,
+                    artists: item.track.artists.map(a => a.name).join(', '),
+                    artist_ids: item.track.artists.map(a => a.id),
+                    album_id: item.track.album?.id || null,
+                    duration_ms: item.track.duration_ms
+                }));
+
+            tracks.push(...savedTracks);
+
+            if (response.items.length < limit || !response.next) break;
+            offset += limit;
+        }
+
+        console.log(`Fetched ${tracks.length} Liked Songs`);
+
+        return {
+            contextUri,
+            type: 'collection',
+            id: userId,
+            name: 'Liked Songs',
+            totalTracks: tracks.length,
+            tracks
+        };
+    }
+
     // Start playback with a context (playlist/album)
     async startPlayback(contextUri, deviceId = null) {
         if (!this.isAuthenticated || !this.api) {
-            throw new Error('Not authenticated with Spotify');
+            throw new AuthError('Not authenticated with Spotify');
         }
 
         try {
             await this.ensureValidToken();
-            // Check if we have available devices first
-            const devices = await this.getDevices();
-            console.log(`Available devices: ${devices.length}`);
-
-            if (devices.length === 0) {
-                console.log('No active devices found - user needs to open Spotify on a device');
-                return false;
-            }
-
-            // Use active device if no specific device provided
-            if (!deviceId) {
-                const activeDevice = devices.find(d => d.is_active);
-                if (activeDevice) {
-                    deviceId = activeDevice.id;
-                    console.log(`Using active device: ${activeDevice.name}`);
-                } else {
-                    console.log('No active device found, trying first available device');
-                    deviceId = devices[0].id;
-                }
-            }
+            deviceId = await this.getPlaybackDeviceId(deviceId);
 
             // Use SDK with correct parameter structure based on API docs
             const playbackOptions = {
@@ -381,61 +571,35 @@ class SpotifyClient {
             console.log(`Attempting to start playback with device: ${deviceId}, context: ${contextUri}`);
 
             // SDK has issues with startResumePlayback, use direct API call as workaround
-            const url = `https://api.spotify.com/v1/me/player/play?device_id=${deviceId}`;
-
-            const response = await fetch(url, {
+            await this.request('/me/player/play', {
                 method: 'PUT',
-                headers: {
-                    'Authorization': `Bearer ${this.accessToken}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(playbackOptions)
+                query: { device_id: deviceId },
+                body: playbackOptions
             });
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`HTTP ${response.status}: ${errorText}`);
-            }
             console.log(`Started playback for context: ${contextUri}`);
             return true;
         } catch (error) {
             console.error('Failed to start playback:', error);
-            // For now, let's not throw the error to see if the rest works
-            console.log('Continuing without starting playback...');
-            return false;
+            throw error;
         }
     }
 
     // Add track to queue
     async addToQueue(trackUri, deviceId = null) {
         if (!this.isAuthenticated || !this.api) {
-            throw new Error('Not authenticated with Spotify');
+            throw new AuthError('Not authenticated with Spotify');
         }
 
         try {
-            await this.ensureValidToken();
-
             // Use direct HTTP API call instead of SDK due to JSON parsing issues
-            const url = new URL('https://api.spotify.com/v1/me/player/queue');
-            url.searchParams.append('uri', trackUri);
-            if (deviceId) {
-                url.searchParams.append('device_id', deviceId);
-            }
-
-            const response = await fetch(url.toString(), {
+            await this.request('/me/player/queue', {
                 method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.accessToken}`
-                }
+                query: { uri: trackUri, device_id: deviceId }
             });
 
-            if (response.ok || response.status === 204) {
-                console.log(`Added to queue: ${trackUri}`);
-                return true;
-            } else {
-                const errorText = await response.text();
-                throw new Error(`HTTP ${response.status}: ${errorText}`);
-            }
+            console.log(`Added to queue: ${trackUri}`);
+            return true;
         } catch (error) {
             console.error('Failed to add track to queue:', error);
             throw error;
@@ -445,50 +609,73 @@ class SpotifyClient {
     // Get available devices
     async getDevices() {
         if (!this.isAuthenticated || !this.api) {
-            throw new Error('Not authenticated with Spotify');
+            throw new AuthError('Not authenticated with Spotify');
+        }
+
+        await this.ensureValidToken();
+        const devices = await this.api.player.getAvailableDevices();
+        return devices.devices;
+    }
+
+    // Device a player command should go to: the given one, else the active device, else the first
+    // available one; throws NoActiveDevice when Spotify isn't open anywhere
+    async getPlaybackDeviceId(deviceId = null) {
+        if (deviceId) {
+            return deviceId;
+        }
+
+        const devices = await this.getDevices();
+        if (devices.length === 0) {
+            throw new NoActiveDevice('No Spotify device available - open Spotify on a device first');
+        }
+
+        const device = devices.find(d => d.is_active) || devices[0];
+        console.log(`Using ${device.is_active ? 'active' : 'first available'} device: ${device.name}`);
+        return device.id;
+    }
+
+    // Find an available device by id or (case-insensitive) name
+    async findDevice(idOrName) {
+        const devices = await this.getDevices();
+        const wanted = String(idOrName).toLowerCase();
+        return devices.find(d => d.id === idOrName) ||
+            devices.find(d => d.name.toLowerCase() === wanted) ||
+            null;
+    }
+
+    // Move playback to another device (keeps playing unless play is false)
+    async transferPlayback(deviceId, play = true) {
+        if (!this.isAuthenticated || !this.api) {
+            throw new AuthError('Not authenticated with Spotify');
         }
 
         try {
-            await this.ensureValidToken();
-            const devices = await this.api.player.getAvailableDevices();
-            return devices.devices;
+            await this.request('/me/player', {
+                method: 'PUT',
+                body: { device_ids: [deviceId], play }
+            });
+
+            console.log(`Transferred playback to device ${deviceId}`);
+            return true;
         } catch (error) {
-            console.error('Failed to get devices:', error);
-            return [];
+            console.error('Failed to transfer playback:', error);
+            throw error;
         }
     }
 
     // Force context switch by starting new context with offset (should clear queue)
     async forceContextSwitch(contextUri, deviceId = null) {
         if (!this.isAuthenticated || !this.api) {
-            throw new Error('Not authenticated with Spotify');
+            throw new AuthError('Not authenticated with Spotify');
         }
 
         try {
             await this.ensureValidToken();
 
             console.log('Forcing context switch with offset to clear queue...');
-
-            // Get devices first
-            const devices = await this.getDevices();
-            if (devices.length === 0) {
-                console.log('No active devices found');
-                return false;
-            }
-
-            // Use active device if no specific device provided
-            if (!deviceId) {
-                const activeDevice = devices.find(d => d.is_active);
-                if (activeDevice) {
-                    deviceId = activeDevice.id;
-                } else {
-                    deviceId = devices[0].id;
-                }
-            }
+            deviceId = await this.getPlaybackDeviceId(deviceId);
 
             // Use direct HTTP API with offset to force context switch and clear queue
-            const url = `https://api.spotify.com/v1/me/player/play?device_id=${deviceId}`;
-
             const playbackOptions = {
                 context_uri: contextUri,
                 offset: { position: 0 } // Start from first track - this should clear queue
@@ -496,20 +683,12 @@ class SpotifyClient {
 
             console.log(`Force switching to context: ${contextUri} with offset`);
 
-            const response = await fetch(url, {
+            await this.request('/me/player/play', {
                 method: 'PUT',
-                headers: {
-                    'Authorization': `Bearer ${this.accessToken}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(playbackOptions)
+                query: { device_id: deviceId },
+                body: playbackOptions
             });
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`HTTP ${response.status}: ${errorText}`);
-            }
-
             console.log('Context switch with offset successful');
             return true;
 
@@ -521,72 +700,42 @@ class SpotifyClient {
 
 
 
-    // Start playback with shuffle control and optional track offset
-    async startPlaybackWithShuffle(contextUri, deviceId = null, shuffle = false, trackUri = null) {
+    // Start playback with shuffle control and optional track offset (and position within that track)
+    async startPlaybackWithShuffle(contextUri, deviceId = null, shuffle = false, trackUri = null, positionMs = 0) {
         if (!this.isAuthenticated || !this.api) {
-            throw new Error('Not authenticated with Spotify');
+            throw new AuthError('Not authenticated with Spotify');
         }
 
         try {
             await this.ensureValidToken();
-
-            // Get devices first
-            const devices = await this.getDevices();
-            if (devices.length === 0) {
-                console.log('No active devices found');
-                return false;
-            }
-
-            // Use active device if no specific device provided
-            if (!deviceId) {
-                const activeDevice = devices.find(d => d.is_active);
-                if (activeDevice) {
-                    deviceId = activeDevice.id;
-                } else {
-                    deviceId = devices[0].id;
-                }
-            }
+            deviceId = await this.getPlaybackDeviceId(deviceId);
 
             // Start playback with shuffle setting
-            const url = `https://api.spotify.com/v1/me/player/play?device_id=${deviceId}`;
-
             const playbackOptions = {
                 context_uri: contextUri,
                 offset: trackUri ? { uri: trackUri } : { position: 0 }
             };
+            if (positionMs > 0) {
+                playbackOptions.position_ms = positionMs;
+            }
 
             console.log(`Starting playback: ${contextUri}, shuffle: ${shuffle}`);
 
-            const response = await fetch(url, {
+            await this.request('/me/player/play', {
                 method: 'PUT',
-                headers: {
-                    'Authorization': `Bearer ${this.accessToken}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(playbackOptions)
+                query: { device_id: deviceId },
+                body: playbackOptions
             });
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`HTTP ${response.status}: ${errorText}`);
-            }
-
             // Set shuffle state after starting playback
-            await new Promise(resolve => setTimeout(resolve, 1000)); // Wait for playback to start
-
-            const shuffleUrl = `https://api.spotify.com/v1/me/player/shuffle?state=${shuffle}&device_id=${deviceId}`;
-
-            const shuffleResponse = await fetch(shuffleUrl, {
-                method: 'PUT',
-                headers: {
-                    'Authorization': `Bearer ${this.accessToken}`
-                }
-            });
-
-            if (!shuffleResponse.ok) {
-                console.warn('Failed to set shuffle state, but playback started successfully');
-            } else {
+            try {
+                await this.request('/me/player/shuffle', {
+                    method: 'PUT',
+                    query: { state: shuffle, device_id: deviceId }
+                });
                 console.log(`Shuffle set to: ${shuffle}`);
+            } catch (error) {
+                console.warn(`Failed to set shuffle state, but playback started successfully: ${error.message}`);
             }
 
             return true;
@@ -600,42 +749,55 @@ class SpotifyClient {
     // Pause current playback
     async pausePlayback(deviceId = null) {
         if (!this.isAuthenticated || !this.api) {
-            throw new Error('Not authenticated with Spotify');
+            throw new AuthError('Not authenticated with Spotify');
         }
 
         try {
-            await this.ensureValidToken();
-
             // Use direct HTTP API to avoid SDK JSON parsing issues
-            const url = deviceId
-                ? `https://api.spotify.com/v1/me/player/pause?device_id=${deviceId}`
-                : 'https://api.spotify.com/v1/me/player/pause';
-
-            const response = await fetch(url, {
+            await this.request('/me/player/pause', {
                 method: 'PUT',
-                headers: {
-                    'Authorization': `Bearer ${this.accessToken}`
-                }
+                query: { device_id: deviceId }
             });
 
-            if (response.ok || response.status === 204) {
-                console.log('Playback paused');
-                return true;
-            } else {
-                console.log('Pause request sent (may not have been playing)');
+            console.log('Playback paused');
+            return true;
+        } catch (error) {
+            if (error instanceof SpotifyError && error.status && !(error instanceof AuthError) && !(error instanceof RateLimited)) {
+                console.log(`Pause request sent (may not have been playing): ${error.message}`);
                 return true; // Don't treat as error
             }
-        } catch (error) {
+
             console.error('Failed to pause playback:', error);
             // Don't throw error - pausing might fail if nothing is playing
             return false;
         }
     }
 
+    // Skip to the next track in the queue
+    async skipToNext(deviceId = null) {
+        if (!this.isAuthenticated || !this.api) {
+            throw new AuthError('Not authenticated with Spotify');
+        }
+
+        try {
+            // Use direct HTTP API to avoid SDK JSON parsing issues
+            await this.request('/me/player/next', {
+                method: 'POST',
+                query: { device_id: deviceId }
+            });
+
+            console.log('Skipped to next track');
+            return true;
+        } catch (error) {
+            console.error('Failed to skip to next track:', error);
+            return false;
+        }
+    }
+
     // Get tracks from a specific playlist
     async getPlaylistTracks(playlistId) {
         if (!this.isAuthenticated || !this.api) {
-            throw new Error('Not authenticated with Spotify');
+            throw new AuthError('Not authenticated with Spotify');
         }
 
         try {
@@ -656,6 +818,8 @@ class SpotifyClient {
                         uri: item.track.uri,
                         name: item.track.name,
                         artists: item.track.artists.map(a => a.name).join(', '),
+                        artist_ids: item.track.artists.map(a => a.id),
+                        album_id: item.track.album?.id || null,
                         duration_ms: item.track.duration_ms
                     }));
 
@@ -675,14 +839,15 @@ class SpotifyClient {
     // Remove tracks from a playlist
     async removeFromPlaylist(playlistId, trackUris) {
         if (!this.isAuthenticated || !this.api) {
-            throw new Error('Not authenticated with Spotify');
+            throw new AuthError('Not authenticated with Spotify');
         }
 
         try {
             await this.ensureValidToken();
 
+            // Every occurrence of each track is removed
             await this.api.playlists.removeItemsFromPlaylist(playlistId, {
-                tracks: trackUris
+                tracks: trackUris.map(uri => ({ uri }))
             });
 
             console.log(`Removed ${trackUris.length} tracks from playlist ${playlistId}`);
@@ -696,7 +861,7 @@ class SpotifyClient {
     // Add tracks to a playlist
     async addToPlaylist(playlistId, trackUris) {
         if (!this.isAuthenticated || !this.api) {
-            throw new Error('Not authenticated with Spotify');
+            throw new AuthError('Not authenticated with Spotify');
         }
 
         try {
@@ -715,7 +880,7 @@ class SpotifyClient {
     // Remove all existing [STSD] playlists
     async removeAllSTSDPlaylists() {
         if (!this.isAuthenticated || !this.api) {
-            throw new Error('Not authenticated with Spotify');
+            throw new AuthError('Not authenticated with Spotify');
         }
 
         try {
@@ -746,23 +911,8 @@ class SpotifyClient {
 
             // Remove each STSD playlist
             for (const playlist of stsdPlaylists) {
-                try {
-                    // For owned playlists, we need to unfollow them (which effectively deletes them for the owner)
-                    const url = `https://api.spotify.com/v1/playlists/${playlist.id}/followers`;
-                    const response = await fetch(url, {
-                        method: 'DELETE',
-                        headers: {
-                            'Authorization': `Bearer ${this.accessToken}`
-                        }
-                    });
-
-                    if (response.ok || response.status === 200) {
-                        console.log(`Removed [STSD] playlist: ${playlist.name} (${playlist.id})`);
-                    } else {
-                        console.error(`Failed to remove playlist ${playlist.id}: HTTP ${response.status}`);
-                    }
-                } catch (error) {
-                    console.error(`Failed to remove playlist ${playlist.id}:`, error);
+                if (await this.deletePlaylist(playlist.id)) {
+                    console.log(`Removed [STSD] playlist: ${playlist.name} (${playlist.id})`);
                 }
             }
 
@@ -774,10 +924,26 @@ class SpotifyClient {
         }
     }
 
+    // Delete a playlist we own
+    // For owned playlists, unfollowing is what effectively deletes them for the owner
+    async deletePlaylist(playlistId) {
+        if (!this.isAuthenticated || !this.api) {
+            throw new AuthError('Not authenticated with Spotify');
+        }
+
+        try {
+            await this.request(`/playlists/${playlistId}/followers`, { method: 'DELETE' });
+            return true;
+        } catch (error) {
+            console.error(`Failed to remove playlist ${playlistId}:`, error);
+            return false;
+        }
+    }
+
     // Create a new fresh STSD playlist for each shuffle session
     async createFreshSTSDPlaylist(originalContextName) {
         if (!this.isAuthenticated || !this.api) {
-            throw new Error('Not authenticated with Spotify');
+            throw new AuthError('Not authenticated with Spotify');
         }
 
         try {
@@ -813,27 +979,12 @@ class SpotifyClient {
     // Get current playback queue
     async getQueue() {
         if (!this.isAuthenticated || !this.api) {
-            throw new Error('Not authenticated with Spotify');
+            throw new AuthError('Not authenticated with Spotify');
         }
 
         try {
-            await this.ensureValidToken();
-
             // Use direct HTTP API call for queue
-            const response = await fetch('https://api.spotify.com/v1/me/player/queue', {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${this.accessToken}`
-                }
-            });
-
-            if (response.ok) {
-                const queueData = await response.json();
-                return queueData;
-            } else {
-                console.error(`Failed to get queue: HTTP ${response.status}`);
-                return null;
-            }
+            return await this.request('/me/player/queue');
         } catch (error) {
             console.error('Failed to get queue:', error);
             return null;
@@ -845,7 +996,7 @@ class SpotifyClient {
         try {
             const credentials = Buffer.from(`${process.env.SPOTIFY_CLIENT_ID}:${process.env.SPOTIFY_CLIENT_SECRET}`).toString('base64');
             
-            const response = await fetch('https://accounts.spotify.com/api/token', {
+            const response = await fetchWithRetry(`${getAccountsBaseUrl()}/api/token`, {
                 method: 'POST',
                 headers: {
                     'Authorization': `Basic ${credentials}`,
@@ -868,24 +1019,11 @@ class SpotifyClient {
         }
     }
 
-    // Make API call with Client Credentials token
+    // Make API call with Client Credentials token; resolves with the body, failures throw typed errors
     async fetchWithClientCredentials(url) {
         try {
             const token = await this.getClientCredentialsToken();
-            
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-
-            return {
-                status: response.status,
-                ok: response.ok,
-                data: response.ok ? await response.json() : await response.text()
-            };
+            return await spotifyRequest(url, { token });
         } catch (error) {
             console.error('Client credentials API call failed:', error);
             throw error;
@@ -935,13 +1073,13 @@ class SpotifyClient {
             state: state || Math.random().toString(36).substring(7)
         });
 
-        return `https://accounts.spotify.com/authorize?${params.toString()}`;
+        return `${getAccountsBaseUrl()}/authorize?${params.toString()}`;
     }
 
     // Exchange PKCE authorization code for tokens
     async handlePKCECallback(code, codeVerifier) {
         try {
-            const response = await fetch('https://accounts.spotify.com/api/token', {
+            const response = await fetchWithRetry(`${getAccountsBaseUrl()}/api/token`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/x-www-form-urlencoded'
@@ -979,23 +1117,10 @@ class SpotifyClient {
         }
     }
 
-    // Test API call with PKCE token
+    // Test API call with PKCE token; resolves with the body, failures throw typed errors
     async testPKCEToken(token, url) {
         try {
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json',
-                    'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-                }
-            });
-
-            return {
-                status: response.status,
-                ok: response.ok,
-                data: response.ok ? await response.json() : await response.text()
-            };
+            return await spotifyRequest(url, { token });
         } catch (error) {
             console.error('PKCE token test failed:', error);
             throw error;
@@ -1008,4 +1133,4 @@ class SpotifyClient {
     }
 }
 
-module.exports = new SpotifyClient();
\ No newline at end of file
+module.exports = SpotifyClient;
\ No newline at end of file
@@ -0,0 +1,195 @@
+// Request layer for every call to Spotify (the SDK is configured to go through it too):
+// - 429 responses are retried after their Retry-After delay (unless that is too long to wait)
+// - transient failures (5xx, network errors) are retried with jittered exponential backoff, for
+//   methods that are safe to repeat - a POST (e.g. adding to the queue) is not retried, since the
+//   first attempt may have gone through
+// - failed responses become typed errors (AuthError, RateLimited, NoActiveDevice, NotFound)
+
+const MAX_ATTEMPTS = 4;
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 8000;
+// Longer Retry-After waits are not sat out; the caller gets RateLimited instead
+const MAX_RETRY_AFTER_MS = 60000;
+
+const TRANSIENT_STATUSES = [500, 502, 503, 504];
+const RETRYABLE_METHODS = ['GET', 'PUT', 'DELETE'];
+
+// Where Spotify is reached; both can point at a stand-in such as the mock server (src/mockSpotify.js)
+// Read on every use, since .env is loaded after the modules are required
+function getApiBaseUrl() {
+  return (process.env.SPOTIFY_API_URL || 'https://api.spotify.com/v1').replace(/\/+$/, '');
+}
+
+function getAccountsBaseUrl() {
+  return (process.env.SPOTIFY_ACCOUNTS_URL || 'https://accounts.spotify.com').replace(/\/+$/, '');
+}
+
+class SpotifyError extends Error {
+  constructor(message, status = null, reason = null) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.reason = reason; // Spotify's error reason, e.g. NO_ACTIVE_DEVICE, PREMIUM_REQUIRED
+  }
+}
+
+// Not logged in, or the token was rejected / couldn't be refreshed
+class AuthError extends SpotifyError {}
+
+// Still rate limited after retrying; retryAfterMs says when to try again
+class RateLimited extends SpotifyError {
+  constructor(message, retryAfterMs) {
+    super(message, 429);
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// A player command found no device to play on (Spotify isn't open anywhere)
+class NoActiveDevice extends SpotifyError {}
+
+// The playlist/album/track/device doesn't exist or can't be accessed
+class NotFound extends SpotifyError {}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Retry-After is in seconds (or, rarely, an HTTP date)
+function getRetryAfterMs(response) {
+  const value = response.headers.get('retry-after');
+  if (!value) {
+    return 1000;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? 1000 : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff with jitter: half the step fixed, half random
+function getBackoffMs(attempt) {
+  const step = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** (attempt - 1));
+  return step / 2 + Math.random() * step / 2;
+}
+
+// Turn a failed response into the matching typed error
+async function toSpotifyError(response) {
+  const text = await response.text().catch(() => '');
+  let body = null;
+  try {
+    body = JSON.parse(text);
+  } catch (error) {
+    // Not JSON; the text is the message
+  }
+
+  const reason = body?.error?.reason || null;
+  const detail = body?.error?.message || body?.error_description || body?.error || text || response.statusText;
+  const message = `Spotify API error ${response.status}: ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`;
+
+  if (response.status === 401) {
+    return new AuthError(message, 401, reason);
+  }
+  if (response.status === 429) {
+    return new RateLimited(message, getRetryAfterMs(response));
+  }
+  if (reason === 'NO_ACTIVE_DEVICE' || (response.status === 404 && /no active device/i.test(message))) {
+    return new NoActiveDevice(message, response.status, reason);
+  }
+  if (response.status === 404) {
+    return new NotFound(message, 404, reason);
+  }
+  return new SpotifyError(message, response.status, reason);
+}
+
+// fetch() with the retry rules above; resolves with the last response, which may still be a failure
+async function fetchWithRetry(url, options = {}) {
+  const method = (options.method || 'GET').toUpperCase();
+  const canRepeat = RETRYABLE_METHODS.includes(method);
+
+  for (let attempt = 1; ; attempt++) {
+    const isLastAttempt = attempt >= MAX_ATTEMPTS;
+    let response;
+
+    try {
+      response = await fetch(url, options);
+    } catch (error) {
+      if (!canRepeat || isLastAttempt) {
+        throw new SpotifyError(`Request to Spotify failed: ${error.message}`);
+      }
+
+      const delayMs = getBackoffMs(attempt);
+      console.warn(`Spotify request failed (${error.message}), retrying ${method} ${url} in ${Math.round(delayMs)}ms`);
+      await sleep(delayMs);
+      continue;
+    }
+
+    if (response.status === 429 && !isLastAttempt) {
+      const delayMs = getRetryAfterMs(response);
+      if (delayMs <= MAX_RETRY_AFTER_MS) {
+        console.warn(`Rate limited by Spotify, retrying ${method} ${url} after ${Math.round(delayMs / 1000)}s`);
+        await sleep(delayMs);
+        continue;
+      }
+    }
+
+    if (TRANSIENT_STATUSES.includes(response.status) && canRepeat && !isLastAttempt) {
+      const delayMs = getBackoffMs(attempt);
+      console.warn(`Spotify returned ${response.status}, retrying ${method} ${url} in ${Math.round(delayMs)}ms`);
+      await sleep(delayMs);
+      continue;
+    }
+
+    return response;
+  }
+}
+
+// Make a Web API request with a bearer token; resolves with the parsed JSON body (null when empty)
+async function spotifyRequest(url, { method = 'GET', token, body } = {}) {
+  const headers = { 'Authorization': `Bearer ${token}` };
+  if (body !== undefined) {
+    headers['Content-Type'] = 'application/json';
+  }
+
+  const response = await fetchWithRetry(url, {
+    method,
+    headers,
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+
+  if (!response.ok) {
+    throw await toSpotifyError(response);
+  }
+
+  const text = await response.text();
+  return text ? JSON.parse(text) : null;
+}
+
+// Options for SpotifyApi so SDK calls get the same retries and typed errors
+const sdkOptions = {
+  fetch: fetchWithRetry,
+  responseValidator: {
+    async validateResponse(response) {
+      if (!response.ok) {
+        throw await toSpotifyError(response);
+      }
+    }
+  }
+};
+
+module.exports = {
+  SpotifyError,
+  AuthError,
+  RateLimited,
+  NoActiveDevice,
+  NotFound,
+  getApiBaseUrl,
+  getAccountsBaseUrl,
+  fetchWithRetry,
+  spotifyRequest,
+  toSpotifyError,
+  sdkOptions
+};
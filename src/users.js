@@ -0,0 +1,87 @@
+const fs = require('fs').promises;
+const path = require('path');
+const database = require('./database');
+const SpotifyClient = require('./spotify');
+const ShuffleState = require('./shuffleState');
+const PlaybackTracker = require('./playbackTracker');
+
+const DEFAULT_USER_ID = 'default';
+const USER_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// The default user keeps the original token file; every other user gets its own under .tokens/
+// Both live in STSD_DATA_DIR (default: the project directory), read on use since .env loads later
+function getDataDir() {
+  return process.env.STSD_DATA_DIR || path.join(__dirname, '..');
+}
+
+function getTokensDir() {
+  return path.join(getDataDir(), '.tokens');
+}
+
+// Registry of the users this server drives. Each user has its own Spotify login, shuffle session,
+// playback tracker and a database view scoped to its play counts and saved session.
+class Users {
+  constructor() {
+    this.users = new Map();
+  }
+
+  isValidId(userId) {
+    return typeof userId === 'string' && USER_ID_PATTERN.test(userId);
+  }
+
+  getTokensFile(userId) {
+    return userId === DEFAULT_USER_ID ? path.join(getDataDir(), '.tokens.json') : path.join(getTokensDir(), `${userId}.json`);
+  }
+
+  // Get a user, creating it (and loading its stored tokens) on first use
+  get(userId = DEFAULT_USER_ID) {
+    if (!this.isValidId(userId)) {
+      throw new Error(`Invalid user id: ${userId}`);
+    }
+
+    if (!this.users.has(userId)) {
+      this.users.set(userId, {
+        id: userId,
+        spotifyClient: new SpotifyClient(this.getTokensFile(userId)),
+        shuffleState: new ShuffleState(),
+        playbackTracker: new PlaybackTracker(),
+        database: database.forUser(userId)
+      });
+    }
+
+    return this.users.get(userId);
+  }
+
+  has(userId) {
+    return this.users.has(userId);
+  }
+
+  list() {
+    return [...this.users.values()];
+  }
+
+  // Register the default user and every user with a stored token file, waiting for their tokens
+  async loadAll() {
+    this.get(DEFAULT_USER_ID);
+
+    try {
+      const files = await fs.readdir(getTokensDir());
+      for (const file of files) {
+        const userId = path.basename(file, '.json');
+        if (file.endsWith('.json') && this.isValidId(userId) && userId !== DEFAULT_USER_ID) {
+          this.get(userId);
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to read user token directory:', error.message);
+      }
+    }
+
+    await Promise.all(this.list().map(user => user.spotifyClient.tokensLoaded));
+    return this.list();
+  }
+}
+
+module.exports = new Users();
+module.exports.DEFAULT_USER_ID = DEFAULT_USER_ID;
@@ -0,0 +1,158 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const database = require('../src/database');
+
+const CONTEXT = 'spotify:playlist:src';
+const tracks = numbers => numbers.map(n => ({ uri: `spotify:track:t${n}` }));
+const uri = n => `spotify:track:t${n}`;
+
+let dataDir;
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stsd-db-'));
+  process.env.STSD_DATA_DIR = dataDir;
+  await database.initialize();
+});
+
+after(() => {
+  database.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function selectableLevels(db, contextId) {
+  const rows = await db.getSelectableTracks(contextId);
+  return Object.fromEntries(rows.map(row => [row.track_id.split(':')[2], row.effective_play_count]));
+}
+
+test('getOnboardingOffset places new tracks by policy', () => {
+  const counts = [3, 1.5, 7, 4];
+
+  assert.strictEqual(database.getOnboardingOffset([], { policy: 'median', boostPicks: 0 }), 0);
+  assert.strictEqual(database.getOnboardingOffset(counts, { policy: 'minimum', boostPicks: 0 }), 1);
+  assert.strictEqual(database.getOnboardingOffset(counts, { policy: 'median', boostPicks: 0 }), 3);
+  assert.strictEqual(database.getOnboardingOffset(counts, { policy: 'boost', boostPicks: 2 }), -1);
+});
+
+test('syncContextTracks archives removed tracks and restores them with their history', async () => {
+  const db = database.forUser('archive');
+  assert.deepStrictEqual(await db.syncContextTracks(CONTEXT, tracks([1, 2, 3])),
+    { total: 3, added: [uri(1), uri(2), uri(3)], removed: [], restored: [] });
+  await db.incrementPlayCount(CONTEXT, uri(2));
+  await db.incrementPlayCount(CONTEXT, uri(2));
+
+  // t2 left the playlist: kept with its plays, but never selected
+  assert.deepStrictEqual(await db.syncContextTracks(CONTEXT, tracks([1, 3])),
+    { total: 2, added: [], removed: [uri(2)], restored: [] });
+  assert.deepStrictEqual(await selectableLevels(db, CONTEXT), { t1: 0, t3: 0 });
+  assert.strictEqual(await db.getPlayCount(CONTEXT, uri(2)), 2);
+
+  // ...and back again with the plays it had
+  assert.deepStrictEqual(await db.syncContextTracks(CONTEXT, tracks([1, 2, 3])),
+    { total: 3, added: [], removed: [], restored: [uri(2)] });
+  assert.deepStrictEqual(await selectableLevels(db, CONTEXT), { t1: 0, t3: 0, t2: 2 });
+});
+
+test('syncContextTracks onboards new tracks relative to the tracks that stay', async () => {
+  const db = database.forUser('onboarding');
+  await db.syncContextTracks(CONTEXT, tracks([1, 2, 3]));
+  for (const [n, plays] of [[1, 2], [2, 3], [3, 5]]) {
+    for (let i = 0; i < plays; i++) {
+      await db.incrementPlayCount(CONTEXT, uri(n));
+    }
+  }
+
+  await db.syncContextTracks(CONTEXT, tracks([1, 2, 3, 4]), { policy: 'minimum', boostPicks: 0 });
+  await db.syncContextTracks(CONTEXT, tracks([1, 2, 3, 4, 5]), { policy: 'boost', boostPicks: 1 });
+  // t1 (the least played) leaves; the median of the rest (t2, t3, t4, t5 at 3, 5, 2, 1) is 2
+  await db.syncContextTracks(CONTEXT, tracks([2, 3, 4, 5, 6]), { policy: 'median', boostPicks: 0 });
+
+  assert.deepStrictEqual(await selectableLevels(db, CONTEXT), { t5: 1, t4: 2, t6: 2, t2: 3, t3: 5 });
+});
+
+test('syncContextTracks keeps each user\'s tracks apart', async () => {
+  const db = database.forUser('other');
+  await db.syncContextTracks(CONTEXT, tracks([9]));
+
+  assert.deepStrictEqual(await selectableLevels(db, CONTEXT), { t9: 0 });
+});
+
+test('skips are counted per track and deprioritize it until it is heard again', async () => {
+  const db = database.forUser('skips');
+  await db.syncContextTracks(CONTEXT, tracks([1, 2, 3]));
+  await db.incrementPlayCount(CONTEXT, uri(3));
+
+  await db.recordSkip(CONTEXT, uri(1));
+  await db.recordSkip(CONTEXT, uri(2), 2);
+  await db.recordSkip(CONTEXT, uri(2), 1); // A smaller penalty doesn't shorten the one there is
+  await db.recordSkip(CONTEXT, uri(3));
+  assert.deepStrictEqual(await selectableLevels(db, CONTEXT), { t1: 0, t3: 1, t2: 2 });
+
+  const stats = await db.getSkipStats(CONTEXT);
+  assert.deepStrictEqual(stats.map(row => [row.track_id, row.skip_count, row.play_count, row.skip_rate, row.penalty_rounds]), [
+    [uri(2), 2, 0, 1, 2],
+    [uri(1), 1, 0, 1, 0],
+    [uri(3), 1, 1, 0.5, 0]
+  ]);
+
+  // A confirmed play clears the penalty but keeps the skip count
+  await db.addPendingPick(CONTEXT, uri(2));
+  assert.strictEqual(await db.confirmPendingPick(CONTEXT, uri(2)), true);
+  assert.deepStrictEqual(await selectableLevels(db, CONTEXT), { t1: 0, t3: 1, t2: 1 });
+  const [t2] = (await db.getSkipStats(CONTEXT)).filter(row => row.track_id === uri(2));
+  assert.deepStrictEqual([t2.skip_count, t2.penalty_rounds], [2, 0]);
+});
+
+test('banned tracks are never selected and favorites count half their plays', async () => {
+  const db = database.forUser('flags');
+  await db.syncContextTracks(CONTEXT, tracks([1, 2, 3]));
+  for (const n of [1, 1, 2, 2, 3]) {
+    await db.incrementPlayCount(CONTEXT, uri(n));
+  }
+
+  assert.strictEqual(await db.setTrackFlag(CONTEXT, uri(1), 'banned', true), true);
+  assert.strictEqual(await db.setTrackFlag(CONTEXT, uri(2), 'favorite', true), true);
+  assert.strictEqual(await db.setTrackFlag(CONTEXT, uri(9), 'favorite', true), false, 'unknown track');
+  await assert.rejects(db.setTrackFlag(CONTEXT, uri(3), 'pinned', true), /Unknown track flag/);
+
+  assert.deepStrictEqual(await selectableLevels(db, CONTEXT), { t2: 1, t3: 1 });
+  assert.deepStrictEqual((await db.getLeastPlayedTracks(CONTEXT)).map(row => row.track_id).sort(), [uri(2), uri(3)]);
+  assert.deepStrictEqual((await db.getFlaggedTracks(CONTEXT)).map(row => [row.track_id, row.banned, row.favorite]),
+    [[uri(1), 1, 0], [uri(2), 0, 1]]);
+
+  // A banned track doesn't hold the shuffle pass back either
+  assert.deepStrictEqual(await db.getPassProgress(CONTEXT), { pass: 2, totalTracks: 2, remainingTrackIds: [uri(3)] });
+
+  // Unbanning makes it eligible again
+  await db.setTrackFlag(CONTEXT, uri(1), 'banned', false);
+  assert.deepStrictEqual(await selectableLevels(db, CONTEXT), { t2: 1, t3: 1, t1: 2 });
+});
+
+test('every selection query leaves archived tracks out', async () => {
+  const db = database.forUser('archived-selection');
+  await db.syncContextTracks(CONTEXT, tracks([1, 2, 3]));
+  await db.incrementPlayCount(CONTEXT, uri(3));
+  await db.syncContextTracks(CONTEXT, tracks([2, 3]));
+
+  assert.deepStrictEqual((await db.getLeastPlayedTracks(CONTEXT)).map(row => row.track_id), [uri(2)]);
+  assert.deepStrictEqual((await db.getWeightedLeastPlayedTracks(CONTEXT)).map(row => row.track_id), [uri(2), uri(3)]);
+  assert.deepStrictEqual((await db.getContextPlayCounts(CONTEXT)).map(row => row.track_id), [uri(2), uri(3)]);
+  assert.strictEqual((await db.getContextStats(CONTEXT)).total_tracks, 2);
+});
+
+test('session state is saved, read back and cleared per user', async () => {
+  const alice = database.forUser('alice');
+  const bob = database.forUser('bob');
+
+  await alice.saveSessionState({ isActive: true, stsdPlaylistId: 'first' });
+  await alice.saveSessionState({ isActive: true, stsdPlaylistId: 'second' });
+  const saved = await alice.getSessionState();
+  assert.strictEqual(saved.stsdPlaylistId, 'second');
+  assert.ok(saved.savedAt);
+  assert.strictEqual(await bob.getSessionState(), null);
+
+  await alice.clearSessionState();
+  assert.strictEqual(await alice.getSessionState(), null);
+});
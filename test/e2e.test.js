@@ -0,0 +1,319 @@
+// End-to-end runs of STSD against the mock Spotify server: start a session, let the monitor confirm
+// plays and refill the queue, follow playback across devices, then stop it. STSD runs as its own
+// process with a throwaway data dir.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { createMockServer } = require('../src/mockSpotify');
+
+const SOURCE_CONTEXT = 'spotify:playlist:mockmix';
+const WAIT_TIMEOUT_MS = 15000;
+
+let mockServer;
+let mock;
+let stsd;
+let stsdUrl;
+let dataDir;
+let logs = '';
+
+function listen(app) {
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Poll check until it returns something truthy; fails with the tail of STSD's log after timeoutMs
+async function waitFor(description, check, timeoutMs = WAIT_TIMEOUT_MS) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    try {
+      const value = await check();
+      if (value) {
+        return value;
+      }
+    } catch (error) {
+      // Not ready yet (STSD still starting, etc.)
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ${description}\n--- STSD log ---\n${logs.slice(-4000)}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+}
+
+async function api(pathname, options = {}) {
+  const response = await fetch(`${stsdUrl}${pathname}`, options);
+  return { status: response.status, body: await response.json() };
+}
+
+// Read one row straight from STSD's database
+function queryRow(sql, params) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(path.join(dataDir, 'shuffle.db'), sqlite3.OPEN_READONLY, (err) => {
+      if (err) {
+        return reject(err);
+      }
+      db.get(sql, params, (err, row) => {
+        db.close();
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  });
+}
+
+// Play count of a track in a context
+async function getPlayCount(contextId, trackId) {
+  const row = await queryRow('SELECT play_count FROM play_counts WHERE context_id = ? AND track_id = ?', [contextId, trackId]);
+  return row ? row.play_count : 0;
+}
+
+// Number of tracks STSD queued from a context that weren't heard yet
+async function getPendingPickCount(contextId) {
+  return (await queryRow('SELECT COUNT(*) AS count FROM pending_picks WHERE context_id = ?', [contextId])).count;
+}
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stsd-e2e-'));
+
+  // The clock only moves when the test advances it, so plays and track ends happen on cue
+  ({ app: mockServer, mock } = createMockServer({ speed: 0, playlistPropagationMs: 300 }));
+  mockServer = await listen(mockServer);
+  const mockUrl = `http://127.0.0.1:${mockServer.address().port}`;
+
+  const port = await getFreePort();
+  stsdUrl = `http://127.0.0.1:${port}`;
+  stsd = spawn(process.execPath, [path.join(__dirname, '..', 'src', 'index.js')], {
+    cwd: dataDir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      SPOTIFY_CLIENT_ID: 'test-client',
+      SPOTIFY_CLIENT_SECRET: 'test-secret',
+      SPOTIFY_REDIRECT_URI: `${stsdUrl}/auth/callback`,
+      SPOTIFY_API_URL: `${mockUrl}/v1`,
+      SPOTIFY_ACCOUNTS_URL: mockUrl,
+      STSD_DATA_DIR: dataDir,
+      PLAYLIST_TARGET_SIZE: '3',
+      MONITOR_INTERVAL_SECONDS: '0.5',
+      MONITOR_MIN_INTERVAL_SECONDS: '0.2',
+      MONITOR_MAX_INTERVAL_SECONDS: '1',
+      CONTEXT_RESYNC_MINUTES: '0'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  stsd.stdout.on('data', chunk => { logs += chunk; });
+  stsd.stderr.on('data', chunk => { logs += chunk; });
+
+  await waitFor('STSD to come up', async () => (await fetch(`${stsdUrl}/health`)).ok);
+
+  // /auth/login -> mock /authorize (consents at once) -> /auth/callback
+  const login = await fetch(`${stsdUrl}/auth/login`);
+  assert.strictEqual(login.status, 200, 'login through the mock accounts service');
+});
+
+after(async () => {
+  if (stsd && stsd.exitCode === null) {
+    const exited = new Promise(resolve => stsd.once('exit', resolve));
+    stsd.kill();
+    await exited;
+  }
+  if (mockServer) {
+    await new Promise(resolve => mockServer.close(resolve));
+  }
+  if (dataDir) {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});
+
+test('the login callback only accepts a state handed out by /auth/login', async () => {
+  for (const query of ['code=forged', 'code=forged&state=0123456789abcdef']) {
+    const callback = await api(`/auth/callback?${query}`);
+    assert.strictEqual(callback.status, 400, JSON.stringify(callback.body));
+  }
+
+  // The default user is still the one logged in before
+  const { body } = await api('/api/status');
+  assert.strictEqual(body.authenticated, true);
+});
+
+test('debug probes go through the request layer', async () => {
+  // A transient failure is retried away; an endpoint the mock lacks is reported as its status
+  mock.failures.push({ status: 503, times: 1, path: '/me/tracks' });
+  const { status, body } = await api('/api/debug/library-access');
+  assert.strictEqual(status, 200, JSON.stringify(body));
+  assert.strictEqual(body.results.savedTracks.success, true);
+  assert.strictEqual(body.results.savedTracks.count, Math.min(10, mock.likedUris.length));
+  assert.strictEqual(body.results.savedAlbums.status, 404);
+  assert.strictEqual(body.results.savedAlbums.success, false);
+});
+
+// Play the source context on the desktop with an empty queue and start a session over it
+async function startSession(query = '') {
+  // A session left over from a failed test would make this one "already shuffling"
+  if ((await getSession()).isActive) {
+    await api('/api/shuffle/stop', { method: 'POST' });
+  }
+  mock.player.queue = [];
+  mock.play({ contextUri: SOURCE_CONTEXT, offset: { position: 0 }, deviceId: 'mock-desktop' });
+
+  const start = await api(`/api/shuffle/start${query}`);
+  assert.strictEqual(start.status, 200, JSON.stringify(start.body));
+  assert.strictEqual(start.body.context.uri, SOURCE_CONTEXT);
+  return start;
+}
+
+async function getSession() {
+  return (await api('/api/status')).body.shuffle;
+}
+
+// Wait until the queue is topped up and the ledger has recorded all of it, so nothing more gets queued
+async function waitForFullQueue() {
+  await waitFor('the queue to be filled', () => mock.player.queue.length >= 2);
+  await waitFor('the ledger to record the queue', async () => {
+    const state = (await getSession()).queueLedger;
+    return state.playing === mock.player.itemUri && state.queued === mock.player.queue.length;
+  });
+}
+
+test('start -> monitor -> refill -> stop', async () => {
+  await startSession();
+
+  // The fresh [STSD] playlist plays its first pick and the rest of the target is queued behind it
+  const stsdPlaylistUri = mock.player.context.uri;
+  assert.notStrictEqual(stsdPlaylistUri, SOURCE_CONTEXT);
+  assert.match(stsdPlaylistUri, /^spotify:playlist:/);
+  await waitFor('the queue to be filled', () => mock.player.queue.length >= 2);
+
+  const firstTrack = mock.player.itemUri;
+  const queued = [...mock.player.queue];
+  const sourceTracks = mock.getContextTrackUris(SOURCE_CONTEXT);
+  const picks = [firstTrack, ...queued];
+  assert.strictEqual(new Set(picks).size, picks.length, 'no track is picked twice');
+  for (const uri of picks) {
+    assert.ok(sourceTracks.includes(uri), `${uri} comes from the source context`);
+  }
+
+  // Past the 30 s confirmation threshold: the monitor counts the play
+  mock.advance(40000);
+  await waitFor('the first track to be counted', async () => await getPlayCount(SOURCE_CONTEXT, firstTrack) === 1);
+
+  // Into the next queued track: the monitor sees the queue shrink and tops it up again
+  mock.advance(mock.getTrack(firstTrack).duration_ms - 40000 + 1000);
+  assert.strictEqual(mock.player.itemUri, queued[0]);
+  await waitFor('the queue to be refilled', () => mock.player.queue.length >= queued.length);
+
+  // A refill lands in the player queue just before the ledger records it
+  await waitFor('the ledger to follow playback', async () => {
+    const { body } = await api('/api/status');
+    const state = body.shuffle.queueLedger;
+    return state.playing === queued[0] && state.finished >= 1 && state.queued === mock.player.queue.length;
+  });
+
+  const session = await getSession();
+  assert.strictEqual(session.state, 'ACTIVE');
+  assert.strictEqual(session.playedTracks, 1);
+
+  // Stopping releases what was queued but not heard; none of it counts as played
+  const unheard = [mock.player.itemUri, ...mock.player.queue];
+  const stop = await api('/api/shuffle/stop', { method: 'POST' });
+  assert.strictEqual(stop.status, 200, JSON.stringify(stop.body));
+  assert.deepStrictEqual(stop.body.countedAsPlayed, []);
+  assert.deepStrictEqual([...stop.body.released].sort(), [...unheard].sort());
+  for (const uri of unheard) {
+    assert.strictEqual(await getPlayCount(SOURCE_CONTEXT, uri), 0, `${uri} was not counted`);
+  }
+  assert.strictEqual(await getPlayCount(SOURCE_CONTEXT, firstTrack), 1);
+});
+
+test('a following session moves along when playback moves to another device', async () => {
+  await startSession();
+  await waitFor('the queue to be filled', () => mock.player.queue.length >= 2);
+  assert.strictEqual((await getSession()).deviceId, 'mock-desktop');
+
+  mock.player.deviceId = 'mock-phone';
+  await waitFor('the session to follow to the phone', async () => {
+    const session = await getSession();
+    return session.deviceId === 'mock-phone' && session.state === 'ACTIVE';
+  });
+
+  const stop = await api('/api/shuffle/stop', { method: 'POST' });
+  assert.strictEqual(stop.status, 200, JSON.stringify(stop.body));
+});
+
+test('a pinned session is suspended while playback is on another device', async () => {
+  await startSession('?device=mock-desktop');
+  await waitFor('the queue to be filled', () => mock.player.queue.length >= 2);
+  const session = await getSession();
+  assert.strictEqual(session.deviceMode, 'pinned');
+  assert.strictEqual(session.state, 'ACTIVE');
+
+  mock.player.deviceId = 'mock-phone';
+  await waitFor('the session to be suspended', async () => (await getSession()).state === 'SUSPENDED_BY_USER');
+  assert.strictEqual((await getSession()).deviceId, 'mock-desktop');
+
+  mock.player.deviceId = 'mock-desktop';
+  await waitFor('the session to take over again', async () => (await getSession()).state === 'ACTIVE');
+
+  const stop = await api('/api/shuffle/stop', { method: 'POST' });
+  assert.strictEqual(stop.status, 200, JSON.stringify(stop.body));
+});
+
+test('stopping with countQueued counts what is still queued as played', async () => {
+  await startSession();
+  await waitForFullQueue();
+
+  // Only keep-playing plays the queue out
+  const rejected = await api('/api/shuffle/stop?countQueued=true&mode=pause', { method: 'POST' });
+  assert.strictEqual(rejected.status, 400, JSON.stringify(rejected.body));
+  assert.strictEqual((await getSession()).isActive, true);
+
+  const unheard = [mock.player.itemUri, ...mock.player.queue];
+  const before = await Promise.all(unheard.map(uri => getPlayCount(SOURCE_CONTEXT, uri)));
+  const stop = await api('/api/shuffle/stop?countQueued=true', { method: 'POST' });
+  assert.strictEqual(stop.status, 200, JSON.stringify(stop.body));
+  assert.deepStrictEqual(stop.body.released, []);
+  assert.deepStrictEqual([...stop.body.countedAsPlayed].sort(), [...unheard].sort());
+  for (const [i, uri] of unheard.entries()) {
+    assert.strictEqual(await getPlayCount(SOURCE_CONTEXT, uri), before[i] + 1, `${uri} was counted`);
+  }
+  assert.strictEqual(await getPendingPickCount(SOURCE_CONTEXT), 0);
+});
+
+test('starting over a running session on another context releases its picks', async () => {
+  await startSession();
+  await waitFor('the queue to be filled', () => mock.player.queue.length >= 2);
+  assert.ok(await getPendingPickCount(SOURCE_CONTEXT) > 0);
+
+  mock.player.queue = [];
+  mock.play({ contextUri: 'spotify:playlist:mockshort', offset: { position: 0 }, deviceId: 'mock-desktop' });
+  const start = await api('/api/shuffle/start');
+  assert.strictEqual(start.status, 200, JSON.stringify(start.body));
+  assert.strictEqual(start.body.context.uri, 'spotify:playlist:mockshort');
+
+  // Nothing of the replaced session stays pending, so its tracks are eligible again
+  assert.strictEqual(await getPendingPickCount(SOURCE_CONTEXT), 0);
+
+  const stop = await api('/api/shuffle/stop', { method: 'POST' });
+  assert.strictEqual(stop.status, 200, JSON.stringify(stop.body));
+});
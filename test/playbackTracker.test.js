@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const PlaybackTracker = require('../src/playbackTracker');
+
+const THRESHOLDS = { percent: 50, seconds: 30 };
+
+function playback(uri, progressMs, { durationMs = 200000, isPlaying = true } = {}) {
+  return { is_playing: isPlaying, progress_ms: progressMs, item: { uri, duration_ms: durationMs } };
+}
+
+test('getThresholdMs takes whichever of percent and seconds comes first', () => {
+  const tracker = new PlaybackTracker();
+  assert.strictEqual(tracker.getThresholdMs(200000, THRESHOLDS), 30000);
+  assert.strictEqual(tracker.getThresholdMs(40000, THRESHOLDS), 20000);
+});
+
+test('observe reports played once the threshold is reached, and only once', () => {
+  const tracker = new PlaybackTracker();
+  assert.deepStrictEqual(tracker.observe(playback('a', 10000), THRESHOLDS, 0), []);
+
+  assert.deepStrictEqual(tracker.observe(playback('a', 31000), THRESHOLDS, 21000), [
+    { type: 'played', uri: 'a', progressMs: 31000, durationMs: 200000 }
+  ]);
+  assert.deepStrictEqual(tracker.observe(playback('a', 60000), THRESHOLDS, 50000), []);
+
+  // Leaving a confirmed track reports nothing more
+  assert.deepStrictEqual(tracker.observe(playback('b', 0), THRESHOLDS, 60000), []);
+  assert.strictEqual(tracker.getState().uri, 'b');
+});
+
+test('observe reports skipped when a track is left before the threshold', () => {
+  const tracker = new PlaybackTracker();
+  tracker.observe(playback('a', 5000), THRESHOLDS, 0);
+
+  assert.deepStrictEqual(tracker.observe(playback('b', 1000), THRESHOLDS, 10000), [
+    { type: 'skipped', uri: 'a', progressMs: 15000, durationMs: 200000 }
+  ]);
+});
+
+test('observe estimates progress since the last snapshot when a track is left while playing', () => {
+  const tracker = new PlaybackTracker();
+  tracker.observe(playback('a', 20000), THRESHOLDS, 0);
+
+  // 20 s seen, then 15 s more played before the track changed: counts as played
+  assert.deepStrictEqual(tracker.observe(playback('b', 0), THRESHOLDS, 15000), [
+    { type: 'played', uri: 'a', progressMs: 35000, durationMs: 200000 }
+  ]);
+});
+
+test('observe caps the estimate at the track duration and adds nothing while paused', () => {
+  const tracker = new PlaybackTracker();
+  tracker.observe(playback('short', 10000, { durationMs: 60000 }), THRESHOLDS, 0);
+  assert.strictEqual(tracker.observe(playback('b', 0), THRESHOLDS, 600000)[0].progressMs, 60000);
+
+  tracker.reset();
+  tracker.observe(playback('a', 10000, { isPlaying: false }), THRESHOLDS, 0);
+  assert.deepStrictEqual(tracker.observe(null, THRESHOLDS, 600000), [
+    { type: 'skipped', uri: 'a', progressMs: 10000, durationMs: 200000 }
+  ]);
+  assert.strictEqual(tracker.getState(), null);
+});
+
+test('observe starts over when a confirmed track is played again from the start', () => {
+  const tracker = new PlaybackTracker();
+  tracker.observe(playback('a', 40000), THRESHOLDS, 0);
+
+  // Back to the start (repeat one): a new listen that can be counted again
+  assert.deepStrictEqual(tracker.observe(playback('a', 1000), THRESHOLDS, 5000), []);
+  assert.strictEqual(tracker.getState().confirmed, false);
+  assert.deepStrictEqual(tracker.observe(playback('a', 30000), THRESHOLDS, 35000), [
+    { type: 'played', uri: 'a', progressMs: 30000, durationMs: 200000 }
+  ]);
+});
+
+test('observe does not treat a small seek back as a restart', () => {
+  const tracker = new PlaybackTracker();
+  tracker.observe(playback('a', 40000), THRESHOLDS, 0);
+
+  assert.deepStrictEqual(tracker.observe(playback('a', 37000), THRESHOLDS, 1000), []);
+  assert.strictEqual(tracker.getState().confirmed, true);
+});
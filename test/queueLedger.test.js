@@ -0,0 +1,130 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const QueueLedger = require('../src/queueLedger');
+
+const uri = n => `spotify:track:t${n}`;
+const statuses = ledger => ledger.entries.map(entry => `${entry.uri.split(':')[2]}:${entry.status}`);
+
+// A session as started: the STSD playlist plays t1, t2 and t3 are queued behind it
+function startedLedger() {
+  const ledger = new QueueLedger();
+  ledger.record(uri(1), 'spotify:playlist:src', 'playlist', 100000);
+  ledger.record(uri(2), 'spotify:playlist:src', 'queue', 200000);
+  ledger.record(uri(3), 'spotify:playlist:src', 'queue', 300000);
+  return ledger;
+}
+
+test('advance finishes everything added before the playing track', () => {
+  const ledger = startedLedger();
+  assert.strictEqual(ledger.advance(uri(1)).changed, true);
+  assert.strictEqual(ledger.advance(uri(1)).changed, false);
+
+  const result = ledger.advance(uri(3));
+  assert.deepStrictEqual(result.finished.map(entry => entry.uri), [uri(1), uri(2)]);
+  assert.strictEqual(result.playing.uri, uri(3));
+  assert.deepStrictEqual(statuses(ledger), ['t1:finished', 't2:finished', 't3:playing']);
+});
+
+test('advance finishes the playing entry when something else plays', () => {
+  const ledger = startedLedger();
+  ledger.advance(uri(1));
+
+  const result = ledger.advance(uri(99));
+  assert.strictEqual(result.playing, null);
+  assert.deepStrictEqual(statuses(ledger), ['t1:finished', 't2:queued', 't3:queued']);
+});
+
+test('reconcile splits the queue into our tracks, playlist repeats and the user\'s', () => {
+  const ledger = startedLedger();
+  // The user queued t9 after ours; the playlist context (t1) repeats after the queue
+  const result = ledger.reconcile(uri(1), [uri(2), uri(3), uri(9), uri(1), uri(1)]);
+
+  assert.strictEqual(result.playing.uri, uri(1));
+  assert.deepStrictEqual(result.inQueue.map(entry => entry.uri), [uri(2), uri(3)]);
+  assert.deepStrictEqual(result.dropped, []);
+  assert.strictEqual(result.userQueued, 1);
+  assert.strictEqual(result.queueDepth, 2);
+  assert.strictEqual(result.changed, true);
+  assert.deepStrictEqual(ledger.getState(), { queued: 2, queuedMs: 500000, playing: uri(1), finished: 0, dropped: 0 });
+});
+
+test('reconcile drops entries missing from a queue listing that shows everything', () => {
+  const ledger = startedLedger();
+  ledger.reconcile(uri(1), [uri(2), uri(3), uri(1)]);
+
+  // The user removed t2 from the queue
+  const result = ledger.reconcile(uri(1), [uri(3), uri(1)]);
+  assert.deepStrictEqual(result.dropped.map(entry => entry.uri), [uri(2)]);
+  assert.strictEqual(result.queueDepth, 1);
+  assert.strictEqual(result.changed, true);
+  assert.deepStrictEqual(statuses(ledger), ['t1:playing', 't2:dropped', 't3:queued']);
+});
+
+test('reconcile keeps entries that may be past the end of a full queue listing', () => {
+  const ledger = startedLedger();
+  // 20 user-queued tracks ahead of ours: the listing is full and shows none of them
+  const userTracks = Array.from({ length: 20 }, (_, i) => uri(100 + i));
+
+  const result = ledger.reconcile(uri(1), userTracks);
+  assert.deepStrictEqual(result.dropped, []);
+  assert.strictEqual(result.queueDepth, 2);
+  assert.strictEqual(result.userQueued, 20);
+});
+
+test('trim keeps only the most recent finished entries', () => {
+  const ledger = new QueueLedger();
+  for (let n = 1; n <= 60; n++) {
+    ledger.record(uri(n), 'spotify:playlist:src', 'queue');
+  }
+  ledger.reconcile(uri(60), []);
+
+  assert.strictEqual(ledger.entries.length, 51);
+  assert.strictEqual(ledger.entries[0].uri, uri(10));
+  assert.deepStrictEqual(ledger.getState(), { queued: 0, queuedMs: 0, playing: uri(60), finished: 50, dropped: 0 });
+});
+
+// Rolling playlist mode: every track is a playlist entry, trimmed from the playlist once finished
+function rollingLedger(trackNumbers) {
+  const ledger = new QueueLedger();
+  trackNumbers.forEach(n => ledger.record(uri(n), 'spotify:playlist:src', 'playlist'));
+  return ledger;
+}
+
+test('getTrimmable lists finished playlist entries not yet removed', () => {
+  const ledger = rollingLedger([1, 2, 3]);
+  ledger.advance(uri(3));
+
+  assert.deepStrictEqual(ledger.getTrimmable().map(entry => entry.uri), [uri(1), uri(2)]);
+
+  ledger.markRemoved(ledger.getTrimmable(), 0);
+  assert.deepStrictEqual(ledger.getTrimmable(), []);
+  assert.strictEqual(ledger.entries[0].removedAt, new Date(0).toISOString());
+});
+
+test('getTrimmable leaves a track that is coming up again', () => {
+  // t1 is in the playlist twice; removing it would take the upcoming copy too
+  const ledger = rollingLedger([1, 2, 1]);
+  ledger.advance(uri(2));
+
+  assert.deepStrictEqual(ledger.getTrimmable(), []);
+
+  ledger.advance(uri(1));
+  assert.deepStrictEqual(ledger.getTrimmable().map(entry => entry.uri), [uri(2)]);
+
+  ledger.advance(null);
+  assert.deepStrictEqual(ledger.getTrimmable().map(entry => entry.uri), [uri(1), uri(2), uri(1)]);
+});
+
+test('trim keeps finished playlist entries until they are removed from the playlist', () => {
+  const numbers = Array.from({ length: 60 }, (_, i) => i + 1);
+  const ledger = rollingLedger(numbers);
+  ledger.advance(uri(60));
+
+  // Still in the playlist: their repeats in the queue must not look like the user's
+  ledger.trim();
+  assert.strictEqual(ledger.entries.length, 60);
+
+  ledger.markRemoved(ledger.getTrimmable());
+  assert.strictEqual(ledger.entries.length, 51);
+  assert.strictEqual(ledger.entries[0].uri, uri(10));
+});
@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const scheduler = require('../src/scheduler');
+
+// Local times, like the scheduler's; January keeps clear of DST changes. 2026-01-05 is a Monday.
+const at = (day, hours, minutes = 0) => new Date(2026, 0, day, hours, minutes);
+
+test('parseCron expands *, ranges, lists, steps and names', () => {
+  const cron = scheduler.parseCron('*/15 8-18/5 1,15 jan-mar mon-fri');
+
+  assert.deepStrictEqual([...cron.minute], [0, 15, 30, 45]);
+  assert.deepStrictEqual([...cron.hour], [8, 13, 18]);
+  assert.deepStrictEqual([...cron.dayOfMonth], [1, 15]);
+  assert.deepStrictEqual([...cron.month], [1, 2, 3]);
+  assert.deepStrictEqual([...cron.dayOfWeek], [1, 2, 3, 4, 5]);
+  assert.strictEqual(cron.anyDayOfMonth, false);
+  assert.strictEqual(cron.anyDayOfWeek, false);
+});
+
+test('parseCron treats 7 as Sunday and a stepped single value as running to the max', () => {
+  assert.ok(scheduler.parseCron('0 0 * * 7').dayOfWeek.has(0));
+  assert.deepStrictEqual([...scheduler.parseCron('50/5 * * * *').minute], [50, 55]);
+});
+
+test('parseCron rejects malformed expressions', () => {
+  assert.throws(() => scheduler.parseCron('0 8 * *'), /needs 5 fields/);
+  assert.throws(() => scheduler.parseCron('60 8 * * *'), /Invalid minute field/);
+  assert.throws(() => scheduler.parseCron('0 18-8 * * *'), /Invalid hour field/);
+  assert.throws(() => scheduler.parseCron('*/0 * * * *'), /Invalid step/);
+  assert.throws(() => scheduler.parseCron('*/x * * * *'), /Invalid step/);
+  assert.throws(() => scheduler.parseCron('0 8 * foo *'), /Invalid month field/);
+  assert.strictEqual(scheduler.isValidCron('0 8 * * mon'), true);
+  assert.strictEqual(scheduler.isValidCron(''), false);
+});
+
+test('getNextRuns returns the next matching minutes strictly after from', () => {
+  assert.deepStrictEqual(scheduler.getNextRuns('30 8 * * *', at(5, 8, 30), 2), [at(6, 8, 30), at(7, 8, 30)]);
+  assert.deepStrictEqual(scheduler.getNextRuns('*/20 9 * * *', at(5, 9, 5), 3), [at(5, 9, 20), at(5, 9, 40), at(6, 9, 0)]);
+});
+
+test('getNextRuns honours weekdays and rolls over months', () => {
+  // Friday 2026-01-09 evening: the next weekday morning is Monday
+  assert.deepStrictEqual(scheduler.getNextRuns('0 7 * * mon-fri', at(9, 20)), [at(12, 7)]);
+  assert.deepStrictEqual(scheduler.getNextRuns('0 0 1 * *', at(5, 12)), [new Date(2026, 1, 1)]);
+});
+
+test('getNextRuns matches either day field when both are restricted', () => {
+  // The 10th (a Saturday) or any Monday
+  assert.deepStrictEqual(scheduler.getNextRuns('0 12 10 * mon', at(6, 0), 3), [at(10, 12), at(12, 12), at(19, 12)]);
+});
+
+test('getNextRuns gives up on expressions that never fire', () => {
+  assert.deepStrictEqual(scheduler.getNextRuns('0 0 31 2 *', at(5, 0)), []);
+});
+
+test('parseTimeOfDay accepts HH:MM only', () => {
+  assert.deepStrictEqual(scheduler.parseTimeOfDay('7:05'), { hours: 7, minutes: 5 });
+  assert.deepStrictEqual(scheduler.parseTimeOfDay('23:59'), { hours: 23, minutes: 59 });
+  assert.strictEqual(scheduler.parseTimeOfDay('24:00'), null);
+  assert.strictEqual(scheduler.parseTimeOfDay('12:60'), null);
+  assert.strictEqual(scheduler.parseTimeOfDay('noon'), null);
+  assert.strictEqual(scheduler.parseTimeOfDay(undefined), null);
+});
+
+test('getNextTimeOfDay picks today if still ahead, otherwise tomorrow', () => {
+  assert.deepStrictEqual(scheduler.getNextTimeOfDay('22:30', at(5, 21)), at(5, 22, 30));
+  assert.deepStrictEqual(scheduler.getNextTimeOfDay('22:30', at(5, 22, 30)), at(6, 22, 30));
+  assert.deepStrictEqual(scheduler.getNextTimeOfDay('06:00', at(31, 23)), new Date(2026, 1, 1, 6));
+  assert.throws(() => scheduler.getNextTimeOfDay('6pm'), /Invalid time of day/);
+});
@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseSessionLimits, mergeSessionLimits, hasSessionLimits } = require('../src/sessionLimits');
+
+// Local time, like the until option's
+const now = new Date(2026, 0, 5, 22, 0);
+
+test('parseSessionLimits without options sets no limits', () => {
+  assert.deepStrictEqual(parseSessionLimits({}, now), { limits: { endsAt: null, trackLimit: null } });
+});
+
+test('parseSessionLimits turns duration and until into an end time', () => {
+  assert.strictEqual(parseSessionLimits({ duration: '45' }, now).limits.endsAt, new Date(2026, 0, 5, 22, 45).toISOString());
+  assert.strictEqual(parseSessionLimits({ duration: '0.5' }, now).limits.endsAt, new Date(2026, 0, 5, 22, 0, 30).toISOString());
+  assert.strictEqual(parseSessionLimits({ until: '23:15' }, now).limits.endsAt, new Date(2026, 0, 5, 23, 15).toISOString());
+
+  // A time of day already past today means tomorrow
+  assert.strictEqual(parseSessionLimits({ until: '06:30' }, now).limits.endsAt, new Date(2026, 0, 6, 6, 30).toISOString());
+});
+
+test('parseSessionLimits takes the earlier of duration and until', () => {
+  assert.strictEqual(parseSessionLimits({ duration: '120', until: '23:00' }, now).limits.endsAt,
+    new Date(2026, 0, 5, 23, 0).toISOString());
+  assert.strictEqual(parseSessionLimits({ duration: '30', until: '23:00' }, now).limits.endsAt,
+    new Date(2026, 0, 5, 22, 30).toISOString());
+});
+
+test('parseSessionLimits reads the track limit alongside an end time', () => {
+  assert.deepStrictEqual(parseSessionLimits({ tracks: '12', duration: '60' }, now), {
+    limits: { endsAt: new Date(2026, 0, 5, 23, 0).toISOString(), trackLimit: 12 }
+  });
+});
+
+test('parseSessionLimits rejects invalid values', () => {
+  for (const duration of ['0', '-5', 'soon', '']) {
+    assert.deepStrictEqual(parseSessionLimits({ duration }, now), { error: { error: 'duration must be a positive number of minutes' } });
+  }
+  for (const until of ['25:00', '9pm', '']) {
+    assert.deepStrictEqual(parseSessionLimits({ until }, now), { error: { error: 'until must be a time of day as HH:MM' } });
+  }
+  for (const tracks of ['0', '2.5', 'ten']) {
+    assert.deepStrictEqual(parseSessionLimits({ tracks }, now), { error: { error: 'tracks must be a positive integer' } });
+  }
+});
+
+test('mergeSessionLimits changes only the limits the query sets', () => {
+  const current = { endsAt: '2026-01-05T23:30:00.000Z', trackLimit: 20 };
+
+  const tracksOnly = { tracks: '5' };
+  assert.deepStrictEqual(
+    mergeSessionLimits(current, tracksOnly, parseSessionLimits(tracksOnly, now).limits, 7),
+    { endsAt: current.endsAt, trackLimit: 12 }
+  );
+
+  const durationOnly = { duration: '30' };
+  assert.deepStrictEqual(
+    mergeSessionLimits(current, durationOnly, parseSessionLimits(durationOnly, now).limits, 7),
+    { endsAt: new Date(now.getTime() + 30 * 60 * 1000).toISOString(), trackLimit: 20 }
+  );
+
+  const both = { until: '23:00', tracks: '3' };
+  assert.deepStrictEqual(
+    mergeSessionLimits({ endsAt: null, trackLimit: null }, both, parseSessionLimits(both, now).limits, 2),
+    { endsAt: new Date(2026, 0, 5, 23, 0).toISOString(), trackLimit: 5 }
+  );
+});
+
+test('hasSessionLimits spots any limit option', () => {
+  assert.strictEqual(hasSessionLimits({ strategy: 'pure-random' }), false);
+  assert.strictEqual(hasSessionLimits({ duration: '30' }), true);
+  assert.strictEqual(hasSessionLimits({ until: '23:00' }), true);
+  assert.strictEqual(hasSessionLimits({ tracks: '5' }), true);
+});
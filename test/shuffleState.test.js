@@ -0,0 +1,176 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ShuffleState = require('../src/shuffleState');
+
+const track = (n, extra = {}) => ({ uri: `spotify:track:t${n}`, name: `Track ${n}`, ...extra });
+
+// A session started over the given sources: { contextUri: [track numbers] } with weight 1 each
+function startedState(sources = { 'spotify:playlist:a': [1, 2, 3] }) {
+  const state = new ShuffleState();
+  state.startShuffle(
+    Object.entries(sources).map(([contextUri, numbers]) => ({ contextUri, weight: 1, tracks: numbers.map(n => track(n)) })),
+    'strict-least-played'
+  );
+  return state;
+}
+
+test('setSourcePass reports whether the pass changed', () => {
+  const state = startedState();
+  assert.strictEqual(state.setSourcePass('spotify:playlist:a', 1), true);
+  assert.strictEqual(state.setSourcePass('spotify:playlist:a', 1), false);
+  assert.strictEqual(state.setSourcePass('spotify:playlist:a', 2), true);
+  assert.strictEqual(state.setSourcePass('spotify:playlist:other', 1), false);
+  assert.strictEqual(state.getState().sources[0].pass, 2);
+});
+
+test('isBelowQueueTarget wants both the minimum tracks and the minimum minutes lined up', () => {
+  const target = { minTracks: 2, minMinutes: 10, maxTracks: 5 };
+  const state = startedState();
+  state.recordQueued(track(1).uri, 'spotify:playlist:a', 'queue', 4 * 60000);
+  state.recordQueued(track(2).uri, 'spotify:playlist:a', 'queue', 4 * 60000);
+
+  // Two tracks, but 8 minutes; the 3 left of the current track make up the difference
+  assert.strictEqual(state.isBelowQueueTarget(target, 0), true);
+  assert.strictEqual(state.isBelowQueueTarget(target, 3 * 60000), false);
+
+  // One long track: enough minutes, too few tracks
+  const long = startedState();
+  long.recordQueued(track(1).uri, 'spotify:playlist:a', 'queue', 20 * 60000);
+  assert.strictEqual(long.isBelowQueueTarget(target, 0), true);
+  assert.strictEqual(long.isBelowQueueTarget({ ...target, minTracks: 1 }, 0), false);
+});
+
+test('isBelowQueueTarget never lines up more than maxTracks or the limits allow', () => {
+  const state = startedState();
+  for (let n = 1; n <= 3; n++) {
+    state.recordQueued(track(n).uri, 'spotify:playlist:a', 'queue', 60000);
+  }
+  assert.strictEqual(state.isBelowQueueTarget({ minTracks: 10, minMinutes: 0, maxTracks: 3 }), false);
+
+  const target = { minTracks: 10, minMinutes: 0, maxTracks: 20 };
+  assert.strictEqual(state.isBelowQueueTarget(target), true);
+
+  // Three outstanding tracks fill a track limit of three
+  state.setLimits({ trackLimit: 3 });
+  assert.strictEqual(state.isBelowQueueTarget(target), false);
+
+  // Nothing that would start after the end time
+  const now = Date.now();
+  state.setLimits({ endsAt: new Date(now + 4 * 60000).toISOString() });
+  assert.strictEqual(state.isBelowQueueTarget(target, 30000, now), true);
+  assert.strictEqual(state.isBelowQueueTarget(target, 60000, now), false);
+});
+
+test('getSourcesByPriority interleaves picks so the source weights hold', () => {
+  const state = new ShuffleState();
+  state.startShuffle([
+    { contextUri: 'spotify:playlist:focus', weight: 60, tracks: [track(1), track(2)] },
+    { contextUri: 'spotify:album:jazz', weight: 40, tracks: [track(3)] }
+  ], 'strict-least-played');
+
+  const order = [];
+  for (let i = 0; i < 10; i++) {
+    const [next] = state.getSourcesByPriority();
+    order.push(next.contextUri === 'spotify:playlist:focus' ? 'F' : 'J');
+    state.recordSourcePick(next.contextUri);
+  }
+
+  assert.strictEqual(order.join(''), 'FJFFJFJFFJ');
+  assert.deepStrictEqual(state.getState().sources.map(source => source.picks), [6, 4]);
+});
+
+test('a mix session is one session over all its sources', () => {
+  const state = startedState({ 'spotify:playlist:a': [1, 2], 'spotify:playlist:b': [3] });
+
+  assert.deepStrictEqual(state.getSourceContexts(), ['spotify:playlist:a', 'spotify:playlist:b']);
+  assert.strictEqual(state.currentContext, 'spotify:playlist:a');
+  assert.deepStrictEqual(state.getAllTracks().map(t => t.uri), [track(1).uri, track(2).uri, track(3).uri]);
+  assert.strictEqual(state.findSourceContext(track(3).uri), 'spotify:playlist:b');
+  assert.strictEqual(state.findSourceContext(track(9).uri), null);
+
+  // Only single-context sessions count as managing "this context" for the start endpoint
+  assert.strictEqual(state.isManagingContext('spotify:playlist:a'), false);
+  assert.strictEqual(startedState().isManagingContext('spotify:playlist:a'), true);
+});
+
+test('updateSourceTracks replaces one source\'s tracks after a re-sync', () => {
+  const state = startedState({ 'spotify:playlist:a': [1, 2], 'spotify:playlist:b': [3] });
+  state.updateSourceTracks('spotify:playlist:a', [track(2), track(4)]);
+  state.updateSourceTracks('spotify:playlist:other', [track(9)]);
+
+  assert.deepStrictEqual(state.getAllTracks().map(t => t.uri), [track(2).uri, track(4).uri, track(3).uri]);
+  assert.strictEqual(state.findSourceContext(track(1).uri), null);
+  assert.strictEqual(state.findSourceContext(track(4).uri), 'spotify:playlist:a');
+  assert.deepStrictEqual(state.getState().sources.map(source => source.totalTracks), [2, 1]);
+});
+
+test('a serialized session restores without its track lists', () => {
+  const state = startedState({ 'spotify:playlist:a': [1, 2], 'spotify:playlist:b': [3] });
+  state.setStsdPlaylistId('stsd123');
+  state.setInitialTrack(track(1).uri);
+  state.setDevice('desk', 'pinned');
+  state.setLimits({ trackLimit: 5 });
+  state.recordSourcePick('spotify:playlist:a');
+  state.recordQueued(track(1).uri, 'spotify:playlist:a', 'playlist', 1000);
+  state.recordPlay();
+
+  const saved = JSON.parse(JSON.stringify(state.serialize()));
+  assert.strictEqual(JSON.stringify(saved).includes('Track 1'), false, 'track lists are left out');
+
+  const restored = new ShuffleState();
+  restored.restore(saved, { 'spotify:playlist:a': [track(1), track(2)], 'spotify:playlist:b': [track(3)] });
+
+  assert.strictEqual(restored.state, 'ACTIVE');
+  assert.strictEqual(restored.getStsdPlaylistId(), 'stsd123');
+  assert.strictEqual(restored.getInitialTrack(), track(1).uri);
+  assert.deepStrictEqual([restored.getDeviceId(), restored.deviceMode], ['desk', 'pinned']);
+  assert.deepStrictEqual(restored.getLimits(), { endsAt: null, trackLimit: 5 });
+  assert.strictEqual(restored.getPlayedTracks(), 1);
+  assert.deepStrictEqual(restored.getState().sources.map(source => [source.picks, source.totalTracks]), [[1, 2], [0, 1]]);
+  assert.deepStrictEqual(restored.queueLedger.getUpcoming().map(entry => entry.uri), [track(1).uri]);
+  assert.deepStrictEqual(restored.getAllTracks().map(t => t.uri), [track(1).uri, track(2).uri, track(3).uri]);
+});
+
+test('transition moves through the session states and keeps a log', () => {
+  const state = startedState();
+  assert.deepStrictEqual([state.state, state.isActive, state.suspendedAt], ['ACTIVE', true, null]);
+
+  state.transition('SUSPENDED_BY_USER', 'user switched context');
+  assert.strictEqual(state.isActive, true);
+  const { suspendedAt } = state;
+  assert.ok(suspendedAt);
+
+  // Staying suspended (RESUMABLE) keeps the time it left ACTIVE, for the idle expiry
+  state.transition('RESUMABLE', 'playback stopped');
+  assert.strictEqual(state.suspendedAt, suspendedAt);
+  state.transition('RESUMABLE', 'still stopped');
+
+  state.transition('ACTIVE', 'back on the STSD playlist');
+  assert.strictEqual(state.suspendedAt, null);
+
+  state.stopShuffle('idle too long');
+  assert.deepStrictEqual([state.state, state.isActive], ['ENDED', false]);
+  assert.deepStrictEqual(state.getState().transitions.map(t => `${t.from}->${t.to}`),
+    ['ENDED->ACTIVE', 'ACTIVE->SUSPENDED_BY_USER', 'SUSPENDED_BY_USER->RESUMABLE', 'RESUMABLE->ACTIVE', 'ACTIVE->ENDED']);
+
+  assert.throws(() => state.transition('PAUSED', 'nope'), /Unknown session state/);
+});
+
+test('shouldTakeControl only while the STSD playlist plays without queued tracks of the user', () => {
+  const state = startedState();
+  const playing = (contextUri, deviceId = 'desk') => ({ context: { uri: contextUri }, device: { id: deviceId } });
+  assert.strictEqual(state.shouldTakeControl(playing('spotify:playlist:stsd')), false, 'no STSD playlist yet');
+
+  state.setStsdPlaylistId('stsd');
+  assert.strictEqual(state.shouldTakeControl(playing('spotify:playlist:stsd')), true);
+  assert.strictEqual(state.shouldTakeControl(playing('spotify:playlist:a')), false);
+  assert.strictEqual(state.shouldTakeControl(playing('spotify:playlist:stsd'), 1), false);
+  assert.strictEqual(state.shouldTakeControl(null), false);
+
+  state.setDevice('desk', 'pinned');
+  assert.strictEqual(state.shouldTakeControl(playing('spotify:playlist:stsd', 'phone')), false);
+  assert.strictEqual(state.shouldTakeControl(playing('spotify:playlist:stsd', 'desk')), true);
+
+  state.stopShuffle();
+  assert.strictEqual(state.shouldTakeControl(playing('spotify:playlist:stsd', 'desk')), false);
+});
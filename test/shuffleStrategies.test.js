@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { applySpacing } = require('../src/shuffleStrategies');
+
+// Two artists with two albums each: a1/b1 are by artist A, c1/d1 by artist B
+const allTracks = [
+  { uri: 'spotify:track:a1', artist_ids: ['A'], album_id: 'A-1' },
+  { uri: 'spotify:track:a2', artist_ids: ['A'], album_id: 'A-1' },
+  { uri: 'spotify:track:b1', artist_ids: ['A'], album_id: 'A-2' },
+  { uri: 'spotify:track:c1', artist_ids: ['B'], album_id: 'B-1' },
+  { uri: 'spotify:track:d1', artist_ids: ['B', 'A'], album_id: 'B-2' }
+];
+const candidate = uri => ({ track_id: `spotify:track:${uri}` });
+const ids = result => result.candidates.map(c => c.track_id.split(':')[2]);
+
+test('applySpacing leaves candidates alone without gaps or recent picks', () => {
+  const candidates = ['a1', 'c1'].map(candidate);
+  const recentPicks = [allTracks[0]];
+
+  assert.deepStrictEqual(applySpacing(candidates, { allTracks, recentPicks, artistGap: 0, albumGap: 0 }),
+    { candidates, artistGap: 0, albumGap: 0, relaxed: false });
+  assert.deepStrictEqual(applySpacing(candidates, { allTracks, recentPicks: [], artistGap: 3, albumGap: 3 }),
+    { candidates, artistGap: 3, albumGap: 3, relaxed: false });
+});
+
+test('applySpacing drops tracks sharing an artist with the last artistGap picks', () => {
+  const candidates = ['a2', 'b1', 'c1', 'd1'].map(candidate);
+  const result = applySpacing(candidates, { allTracks, recentPicks: [allTracks[0]], artistGap: 1, albumGap: 0 });
+
+  // d1 is a collaboration with artist A, so it is held back too
+  assert.deepStrictEqual(ids(result), ['c1']);
+  assert.strictEqual(result.relaxed, false);
+});
+
+test('applySpacing only looks back as far as each gap', () => {
+  const candidates = ['a2', 'b1', 'c1'].map(candidate);
+  // Artist A was picked two picks ago, artist B just now
+  const recentPicks = [allTracks[0], allTracks[3]];
+
+  assert.deepStrictEqual(ids(applySpacing(candidates, { allTracks, recentPicks, artistGap: 1, albumGap: 0 })), ['a2', 'b1']);
+  assert.deepStrictEqual(ids(applySpacing(candidates, { allTracks, recentPicks, artistGap: 0, albumGap: 1 })), ['a2', 'b1']);
+  assert.deepStrictEqual(ids(applySpacing(candidates, { allTracks, recentPicks, artistGap: 0, albumGap: 2 })), ['b1']);
+});
+
+test('applySpacing keeps candidates it has no track info for', () => {
+  const candidates = ['a2', 'zz'].map(candidate);
+  const result = applySpacing(candidates, { allTracks, recentPicks: [allTracks[0]], artistGap: 1, albumGap: 1 });
+
+  assert.deepStrictEqual(ids(result), ['zz']);
+});
+
+test('applySpacing halves the gaps until something is allowed', () => {
+  const candidates = ['a2', 'b1'].map(candidate);
+  // Artist A is in every recent pick (d1 is a collaboration), so only dropping the rules allows either
+  const recentPicks = [allTracks[0], allTracks[2], allTracks[2], allTracks[4]];
+
+  const result = applySpacing(candidates, { allTracks, recentPicks, artistGap: 4, albumGap: 4 });
+  assert.strictEqual(result.relaxed, true);
+  assert.strictEqual(result.artistGap, 0);
+  assert.strictEqual(result.albumGap, 0);
+  assert.deepStrictEqual(ids(result), ['a2', 'b1']);
+});
+
+test('applySpacing stops relaxing at the first gaps that allow a candidate', () => {
+  const candidates = ['a2', 'c1'].map(candidate);
+  // Artist B two picks ago, artist A (album A-1) in the last pick
+  const recentPicks = [allTracks[3], allTracks[0]];
+
+  const result = applySpacing(candidates, { allTracks, recentPicks, artistGap: 2, albumGap: 2 });
+  assert.deepStrictEqual(ids(result), ['c1']);
+  assert.strictEqual(result.artistGap, 1);
+  assert.strictEqual(result.albumGap, 1);
+  assert.strictEqual(result.relaxed, true);
+});
@@ -0,0 +1,76 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockServer } = require('../src/mockSpotify');
+const { AuthError, RateLimited, NoActiveDevice } = require('../src/spotifyRequest');
+
+let server;
+let mock;
+let client;
+let dataDir;
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stsd-spotify-'));
+  ({ app: server, mock } = createMockServer({ speed: 0 }));
+  server = await new Promise(resolve => {
+    const listening = server.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  const mockUrl = `http://127.0.0.1:${server.address().port}`;
+  process.env.SPOTIFY_API_URL = `${mockUrl}/v1`;
+  process.env.SPOTIFY_ACCOUNTS_URL = mockUrl;
+  process.env.SPOTIFY_CLIENT_ID = 'test-client';
+  process.env.SPOTIFY_CLIENT_SECRET = 'test-secret';
+
+  // Required after the env is set: the SDK root URL is taken from it
+  const SpotifyClient = require('../src/spotify');
+  client = new SpotifyClient(path.join(dataDir, '.tokens.json'));
+  await client.tokensLoaded;
+  assert.strictEqual(await client.handleCallback(mock.issueCode()), true);
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('getCurrentPlayback returns null when nothing is playing', async () => {
+  assert.strictEqual(await client.getCurrentPlayback(), null);
+
+  mock.play({ contextUri: 'spotify:playlist:mockmix', deviceId: 'mock-phone' });
+  const playback = await client.getCurrentPlayback();
+  assert.strictEqual(playback.context.uri, 'spotify:playlist:mockmix');
+  assert.strictEqual(playback.device.id, 'mock-phone');
+});
+
+test('getCurrentPlayback passes on a rejected token and rate limiting', async () => {
+  mock.failures.push({ status: 401, times: 1, path: '/me/player', retryAfter: 1 });
+  await assert.rejects(client.getCurrentPlayback(), AuthError);
+
+  mock.failures.push({ status: 429, times: 1, path: '/me/player', retryAfter: 3600 });
+  await assert.rejects(client.getCurrentPlayback(), RateLimited);
+});
+
+test('player commands throw NoActiveDevice when no device is available', async () => {
+  const getDevices = client.getDevices;
+  client.getDevices = async () => [];
+  try {
+    await assert.rejects(client.startPlaybackWithShuffle('spotify:playlist:mockmix'), NoActiveDevice);
+    await assert.rejects(client.startPlayback('spotify:playlist:mockmix'), NoActiveDevice);
+    await assert.rejects(client.forceContextSwitch('spotify:playlist:mockmix'), NoActiveDevice);
+  } finally {
+    client.getDevices = getDevices;
+  }
+});
+
+test('player commands fall back to the active or first available device', async () => {
+  mock.player.deviceId = null;
+  await client.startPlaybackWithShuffle('spotify:playlist:mockshort');
+  assert.strictEqual(mock.player.deviceId, 'mock-desktop');
+  assert.strictEqual(mock.player.context.uri, 'spotify:playlist:mockshort');
+
+  await client.startPlaybackWithShuffle('spotify:playlist:mockmix', 'mock-phone');
+  assert.strictEqual(mock.player.deviceId, 'mock-phone');
+});
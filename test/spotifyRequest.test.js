@@ -0,0 +1,117 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const {
+  SpotifyError, AuthError, RateLimited, NoActiveDevice, NotFound, fetchWithRetry, spotifyRequest, toSpotifyError
+} = require('../src/spotifyRequest');
+
+const realFetch = globalThis.fetch;
+
+// Answer fetch() calls with the given responses in turn, recording each request
+function scriptFetch(responses) {
+  const calls = [];
+  globalThis.fetch = async (url, options) => {
+    calls.push({ url, method: options?.method || 'GET' });
+    const next = responses.shift();
+    if (next instanceof Error) {
+      throw next;
+    }
+    return next;
+  };
+  return calls;
+}
+
+function jsonResponse(status, body, headers = {}) {
+  return new Response(body === null ? null : JSON.stringify(body), { status, headers });
+}
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test('toSpotifyError maps failed responses to typed errors', async () => {
+  const error = (status, body, headers) => toSpotifyError(jsonResponse(status, body, headers));
+
+  assert.ok(await error(401, { error: { status: 401, message: 'The access token expired' } }) instanceof AuthError);
+
+  const rateLimited = await error(429, { error: { status: 429, message: 'API rate limit exceeded' } }, { 'Retry-After': '7' });
+  assert.ok(rateLimited instanceof RateLimited);
+  assert.strictEqual(rateLimited.retryAfterMs, 7000);
+
+  const noDevice = await error(404, { error: { status: 404, message: 'Player command failed: No active device found', reason: 'NO_ACTIVE_DEVICE' } });
+  assert.ok(noDevice instanceof NoActiveDevice);
+  assert.strictEqual(noDevice.reason, 'NO_ACTIVE_DEVICE');
+
+  const notFound = await error(404, { error: { status: 404, message: 'Resource not found' } });
+  assert.ok(notFound instanceof NotFound);
+  assert.match(notFound.message, /Spotify API error 404: Resource not found/);
+
+  const premium = await error(403, { error: { status: 403, message: 'Premium required', reason: 'PREMIUM_REQUIRED' } });
+  assert.strictEqual(premium.constructor, SpotifyError);
+  assert.strictEqual(premium.status, 403);
+  assert.strictEqual(premium.reason, 'PREMIUM_REQUIRED');
+});
+
+test('fetchWithRetry waits out a short Retry-After and tries again', async () => {
+  const calls = scriptFetch([
+    jsonResponse(429, null, { 'Retry-After': '0' }),
+    jsonResponse(200, { ok: true })
+  ]);
+
+  const response = await fetchWithRetry('https://api.test/v1/me/player');
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(calls.length, 2);
+});
+
+test('a Retry-After too long to wait becomes RateLimited at once', async () => {
+  const calls = scriptFetch([jsonResponse(429, { error: { status: 429, message: 'Slow down' } }, { 'Retry-After': '3600' })]);
+
+  await assert.rejects(spotifyRequest('https://api.test/v1/me/player', { token: 't' }), (error) => {
+    assert.ok(error instanceof RateLimited);
+    assert.strictEqual(error.retryAfterMs, 3600000);
+    return true;
+  });
+  assert.strictEqual(calls.length, 1);
+});
+
+test('transient failures of repeatable requests are retried with backoff', async () => {
+  const calls = scriptFetch([
+    jsonResponse(503, null),
+    new TypeError('fetch failed'),
+    jsonResponse(200, { devices: [] })
+  ]);
+
+  assert.deepStrictEqual(await spotifyRequest('https://api.test/v1/me/player/devices', { token: 't' }), { devices: [] });
+  assert.strictEqual(calls.length, 3);
+});
+
+test('a POST is not repeated after a transient failure', async () => {
+  const calls = scriptFetch([jsonResponse(502, null), jsonResponse(200, null)]);
+
+  await assert.rejects(spotifyRequest('https://api.test/v1/me/player/queue', { method: 'POST', token: 't' }), (error) => {
+    assert.strictEqual(error.constructor, SpotifyError);
+    assert.strictEqual(error.status, 502);
+    return true;
+  });
+  assert.deepStrictEqual(calls, [{ url: 'https://api.test/v1/me/player/queue', method: 'POST' }]);
+});
+
+test('retries stop after the last attempt and the failure is returned', async () => {
+  const calls = scriptFetch([jsonResponse(500, null), jsonResponse(500, null), jsonResponse(500, null), jsonResponse(500, null)]);
+
+  await assert.rejects(spotifyRequest('https://api.test/v1/me', { token: 't' }), { name: 'SpotifyError', status: 500 });
+  assert.strictEqual(calls.length, 4);
+});
+
+test('spotifyRequest sends the token and body, and returns null for an empty response', async () => {
+  let sent;
+  globalThis.fetch = async (url, options) => {
+    sent = options;
+    return new Response(null, { status: 204 });
+  };
+
+  const result = await spotifyRequest('https://api.test/v1/me/player/play', { method: 'PUT', token: 'abc', body: { context_uri: 'spotify:album:x' } });
+  assert.strictEqual(result, null);
+  assert.strictEqual(sent.headers.Authorization, 'Bearer abc');
+  assert.strictEqual(sent.headers['Content-Type'], 'application/json');
+  assert.strictEqual(sent.body, JSON.stringify({ context_uri: 'spotify:album:x' }));
+});